@@ -0,0 +1,32 @@
+// Runs the QUnit and OPA5 tests of webapp/test/testsuite.qunit.html in a
+// headless Chrome: the one installed with the puppeteer devDependency, or the
+// one CHROME_BIN points to. UI5 and the OData service come from ui5-test.yaml;
+// once "npm run test-prepare" has put the UI5 libraries into the UI5 Tooling
+// cache (~/.ui5, or UI5_DATA_DIR), no network access is needed.
+process.env.CHROME_BIN = process.env.CHROME_BIN || require("puppeteer").executablePath();
+
+module.exports = function (config) {
+    config.set({
+        frameworks: ["ui5"],
+        ui5: {
+            configPath: "ui5-test.yaml",
+            testpage: "webapp/test/testsuite.qunit.html",
+            failOnEmptyTestPage: true
+        },
+        browsers: ["ChromeHeadlessNoSandbox"],
+        customLaunchers: {
+            // Chrome refuses to start its sandbox as root, e.g. in containers
+            ChromeHeadlessNoSandbox: {
+                base: "ChromeHeadless",
+                flags: ["--no-sandbox"]
+            }
+        },
+        // The OPA5 journeys load the whole app, which takes a while on the first run
+        browserNoActivityTimeout: 120000,
+        // UI5 logs every step of the test starter and of OPA's auto waiter
+        browserConsoleLogOptions: {
+            level: "warn"
+        },
+        singleRun: true
+    });
+};
@@ -1,7 +1,10 @@
 sap.ui.define([
     "sap/ui/core/UIComponent",
+    "sap/base/i18n/Localization",
+    "sap/ui/model/resource/ResourceModel",
+    "sap/ui/model/odata/v4/ODataModel",
     "booklist/model/models"
-], (UIComponent, models) => {
+], (UIComponent, Localization, ResourceModel, ODataModel, models) => {
     "use strict";
 
     return UIComponent.extend("booklist.Component", {
@@ -19,8 +22,56 @@ sap.ui.define([
             // set the device model
             this.setModel(models.createDeviceModel(), "device");
 
+            // set the model of the language switcher
+            const aLanguages = this.getManifestEntry("/sap.ui5/config/languages");
+            const sLanguage = Localization.getLanguage().slice(0, 2).toLowerCase();
+            this.setModel(models.createLanguageModel(aLanguages,
+                aLanguages.includes(sLanguage) ? sLanguage : aLanguages[0]), "language");
+
+            // set the capabilities of the current user, which show or hide the buttons for changes
+            this.setModel(models.createUserModel(), "user");
+            this._loadUserCapabilities();
+
             // enable routing
             this.getRouter().initialize();
+        },
+
+        /**
+         * Switches the UI texts and the language of the OData service. The
+         * service model is replaced by one that sends the new sap-language, so
+         * that localized fields like Books.title are read in that language;
+         * pending changes of the old model are lost.
+         * @param {string} sLanguage The language code, e.g. "de"
+         */
+        switchLanguage(sLanguage) {
+            Localization.setLanguage(sLanguage);
+            this.getModel("language").setProperty("/current", sLanguage);
+
+            this.setModel(new ResourceModel(this.getManifestEntry("/sap.ui5/models/i18n/settings")), "i18n");
+
+            const oOldModel = this.getModel();
+            const oSettings = this.getManifestEntry("/sap.ui5/models")[""].settings;
+            const sServiceUrl = this.getManifestEntry("/sap.app/dataSources/mainService/uri");
+            this.setModel(new ODataModel(Object.assign({}, oSettings, {
+                serviceUrl: sServiceUrl + "?sap-language=" + sLanguage
+            })));
+            oOldModel.destroy();
+        },
+
+        /**
+         * Reads the roles of the current user from the service into the user
+         * model. This only hides buttons; the service checks every request
+         * itself. If the call fails, the user stays read-only and the error is
+         * reported by the OData model.
+         */
+        async _loadUserCapabilities() {
+            const oBinding = this.getModel().bindContext("/currentUser(...)");
+            try {
+                await oBinding.invoke();
+            } catch (error) {
+                return;
+            }
+            this.getModel("user").setData(oBinding.getBoundContext().getObject());
         }
     });
-});
\ No newline at end of file
+});
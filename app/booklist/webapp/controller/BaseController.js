@@ -0,0 +1,175 @@
+sap.ui.define([
+    "sap/ui/core/mvc/Controller",
+    "sap/ui/core/Fragment",
+    "sap/base/strings/formatMessage",
+    "sap/m/MessageToast",
+    "sap/m/MessageBox",
+    "sap/ui/model/Filter",
+    "sap/ui/model/FilterOperator",
+    "sap/ui/model/Sorter",
+    "sap/ui/model/json/JSONModel"
+], (Controller, Fragment, formatMessage, MessageToast, MessageBox, Filter, FilterOperator, Sorter, JSONModel) => {
+    "use strict";
+
+    return Controller.extend("booklist.controller.BaseController", {
+        // Fills the placeholders of an i18n text in view bindings, e.g.
+        // { parts: ['i18n>booksTitleCount', 'count'], formatter: '.formatMessage' }
+        formatMessage: formatMessage,
+
+        /**
+         * Returns a text of the i18n bundle in the current UI language.
+         * @param {string} sKey The key of the text
+         * @param {any[]} [aArgs] The values for the placeholders {0}, {1}, ...
+         * @returns {string} The text
+         */
+        getText(sKey, aArgs) {
+            return this.getOwnerComponent().getModel("i18n").getResourceBundle().getText(sKey, aArgs);
+        },
+
+        /**
+         * Shows the change log of an author or book in the view's history table
+         * (HistoryTable fragment), latest change first.
+         * @param {string} sEntityName "Authors" or "Books"
+         * @param {string} [sKey] The ID of the entry; without it the table is cleared
+         */
+        bindHistory(sEntityName, sKey) {
+            const oTable = this.byId("historyTable");
+
+            if (!sKey) {
+                oTable.unbindItems();
+                return;
+            }
+
+            oTable.bindItems({
+                path: "/ChangeLog",
+                filters: [new Filter({
+                    filters: [
+                        new Filter("entityName", FilterOperator.EQ, sEntityName),
+                        new Filter("entityKey", FilterOperator.EQ, sKey),
+                    ],
+                    and: true,
+                })],
+                sorter: new Sorter("changedAt", true),
+                template: this.byId("historyTemplate"),
+                templateShareable: true,
+            });
+        },
+
+        /**
+         * Reverts the change of the pressed history row through the bound
+         * "revert" action. The server refuses changes that were overwritten
+         * since; its message is shown as is.
+         */
+        onRevertChange(oEvent) {
+            const oContext = oEvent.getSource().getBindingContext();
+
+            MessageBox.confirm(this.getText("confirmRevertChange"), {
+                actions: [MessageBox.Action.OK, MessageBox.Action.CANCEL],
+                onClose: async (sAction) => {
+                    if (sAction !== MessageBox.Action.OK) {
+                        return;
+                    }
+
+                    try {
+                        await oContext.getModel().bindContext("BookService.revert(...)", oContext).invoke();
+                    } catch (error) {
+                        MessageBox.error(this.getText("revertChangeFailed", [error.message]));
+                        return;
+                    }
+
+                    MessageToast.show(this.getText("changeReverted"));
+                    this.onChangeReverted();
+                },
+            });
+        },
+
+        // Re-reads the history table, e.g. after the shown entry was saved
+        refreshHistory() {
+            const oBinding = this.byId("historyTable").getBinding("items");
+            if (oBinding) {
+                oBinding.refresh();
+            }
+        },
+
+        /**
+         * Called after a change was reverted. Views showing the reverted entry
+         * override it to re-read that entry as well.
+         */
+        onChangeReverted() {
+            this.refreshHistory();
+        },
+
+        /**
+         * Opens the quantity dialog (StockDialog fragment) for a receipt or a
+         * sale of the given book.
+         * @param {sap.ui.model.odata.v4.Context} oContext The book
+         * @param {string} sAction "receiveStock" or "sellStock"
+         */
+        async openStockDialog(oContext, sAction) {
+            if (!this._oStockDialog) {
+                this._oStockDialog = await Fragment.load({
+                    id: this.getView().getId(),
+                    name: "booklist.view.StockDialog",
+                    controller: this,
+                });
+                // The dialog's texts come from the view's i18n model
+                this.getView().addDependent(this._oStockDialog);
+            }
+
+            this._oStockContext = oContext;
+            this._oStockDialog.setModel(new JSONModel({
+                action: sAction,
+                title: oContext.getProperty("title"),
+                stock: oContext.getProperty("stock"),
+                quantity: 1,
+                reference: "",
+            }), "stock");
+            this._oStockDialog.open();
+        },
+
+        // Runs the movement; the dialog stays open if the server refuses it, e.g. for too few units
+        async onStockDialogConfirm() {
+            const oData = this._oStockDialog.getModel("stock").getData();
+            const oContext = this._oStockContext;
+
+            this._oStockDialog.setBusy(true);
+            try {
+                await this.moveStock(oContext, oData.action, oData.quantity, oData.reference);
+            } catch (error) {
+                MessageBox.error(error.message);
+                return;
+            } finally {
+                this._oStockDialog.setBusy(false);
+            }
+
+            this._oStockDialog.close();
+            MessageToast.show(this.getText(oData.action === "receiveStock" ? "stockReceived" : "stockSold",
+                [oData.quantity]));
+
+            // The new stock, and the ETag for later edits
+            oContext.requestSideEffects(["stock", "modifiedAt"]);
+        },
+
+        onStockDialogCancel() {
+            this._oStockDialog.close();
+        },
+
+        /**
+         * Invokes the receiveStock or sellStock action of a book. The server
+         * adds the quantity in one statement, so the book's ETag is not sent:
+         * concurrent movements do not conflict.
+         * @param {sap.ui.model.odata.v4.Context} oContext The book
+         * @param {string} sAction "receiveStock" or "sellStock"
+         * @param {number} iQuantity The number of units, greater than zero
+         * @param {string} [sReference] Why the stock changes, e.g. a delivery note
+         * @param {string} [sGroupId] The group to send the request with
+         * @returns {Promise} Resolves when the server has changed the stock
+         */
+        moveStock(oContext, sAction, iQuantity, sReference, sGroupId) {
+            return oContext.getModel().bindContext("BookService." + sAction + "(...)", oContext)
+                .setParameter("quantity", iQuantity)
+                .setParameter("reference", sReference || null)
+                .invoke(sGroupId, true);
+        }
+    });
+});
@@ -0,0 +1,197 @@
+sap.ui.define(
+    [
+        "./BaseController",
+        "sap/ui/core/routing/History",
+        "sap/m/MessageToast",
+        "sap/m/MessageBox",
+        "sap/ui/model/json/JSONModel",
+        "booklist/model/formatter",
+    ],
+    (BaseController, History, MessageToast, MessageBox, JSONModel, formatter) => {
+        "use strict";
+
+        // Deferred update group: translation edits are only sent on "Save"
+        const EDIT_GROUP_ID = "bookEdit";
+
+        // Locale of a translation as used by CAP, e.g. "de" or "pt_BR"
+        const LOCALE_PATTERN = /^[a-z]{2}(_[A-Z]{2})?$/;
+
+        return BaseController.extend("booklist.controller.BookDetail", {
+            formatter: formatter,
+
+            // Sets up the view model and listens to the detail route
+            onInit() {
+                this.getView().setModel(new JSONModel({
+                    editMode: false,
+                    lowStockThreshold: this.getOwnerComponent().getManifestEntry("/sap.ui5/config/lowStockThreshold"),
+                }), "view");
+
+                this.getOwnerComponent().getRouter().getRoute("RouteBookDetail")
+                    .attachPatternMatched(this._onBookMatched, this);
+            },
+
+            /**
+             * Binds the page to the book from the hash. Edits of the translations go
+             * through the deferred edit group, so nothing is sent before "Save".
+             * Unknown and soft-deleted books lead to the "not found" page.
+             */
+            _onBookMatched: async function (oEvent) {
+                const sBookId = oEvent.getParameter("arguments").bookId;
+
+                // Pending changes of a previously shown book are dropped
+                this._discardChanges();
+
+                // The translations are edited on the active book; its fields through a draft, see onEdit
+                this.getView().bindElement({
+                    path: "/Books(ID=" + sBookId + ",IsActiveEntity=true)",
+                    parameters: { $$updateGroupId: EDIT_GROUP_ID },
+                });
+
+                let bDeleted;
+                try {
+                    bDeleted = await this.getView().getBindingContext().requestProperty("isDeleted");
+                } catch (error) {
+                    // Unknown or malformed keys are rejected by the server
+                    bDeleted = true;
+                }
+
+                if (bDeleted) {
+                    this.getOwnerComponent().getRouter().getTargets().display("TargetNotFound");
+                    return;
+                }
+                this.bindHistory("Books", sBookId);
+            },
+
+            // Leaves the page (discarding unsaved edits) to where the user came from
+            onNavBack: function () {
+                this._discardChanges();
+
+                if (History.getInstance().getPreviousHash() !== undefined) {
+                    window.history.go(-1);
+                } else {
+                    this.getOwnerComponent().getRouter().navTo("RouteBookList", {}, true);
+                }
+            },
+
+            // Opens the quantity dialog for a delivery of the shown book
+            onReceiveStock: function () {
+                this.openStockDialog(this.getView().getBindingContext(), "receiveStock");
+            },
+
+            // Opens the quantity dialog for a sale of the shown book
+            onSellStock: function () {
+                this.openStockDialog(this.getView().getBindingContext(), "sellStock");
+            },
+
+            /**
+             * Edits the book like the book list does: in the Edit dialog on a
+             * draft, with the same checks. The dialog belongs to the book list,
+             * so the book is opened there with the query that opens it.
+             */
+            onEdit: async function () {
+                const oContext = this.getView().getBindingContext();
+                const sAuthorId = await oContext.requestProperty("author_ID");
+
+                this.getOwnerComponent().getRouter().navTo("RouteBook", {
+                    authorId: sAuthorId,
+                    bookId: oContext.getProperty("ID"),
+                    "?query": { edit: "true" },
+                });
+            },
+
+            // Switches the translations table to edit mode
+            onEditTranslations: function () {
+                this.getView().getModel("view").setProperty("/editMode", true);
+            },
+
+            /**
+             * onSave
+             * Submits the pending changes of the translations in one $batch.
+             * Failed changes stay pending, so the user can correct them and
+             * save again.
+             */
+            onSave: async function () {
+                const oModel = this.getView().getModel();
+
+                if (oModel.hasPendingChanges(EDIT_GROUP_ID)) {
+                    const sError = this._checkTranslations();
+                    if (sError) {
+                        MessageBox.error(sError);
+                        return;
+                    }
+
+                    await oModel.submitBatch(EDIT_GROUP_ID);
+
+                    if (oModel.hasPendingChanges(EDIT_GROUP_ID)) {
+                        MessageBox.error(this.getText("bookSaveFailed"));
+                        return;
+                    }
+                    MessageToast.show(this.getText("bookUpdated"));
+
+                    // A changed translation of the current language changes the localized fields
+                    this.getView().getBindingContext().requestSideEffects(["title", "descr"]);
+                    this.refreshHistory();
+                }
+
+                this.getView().getModel("view").setProperty("/editMode", false);
+            },
+
+            // Discards every pending change and leaves edit mode
+            onCancel: function () {
+                this._discardChanges();
+            },
+
+            // Adds an empty translation row; it is sent with the next "Save"
+            onAddTranslation: function () {
+                const oContext = this.byId("translationsTable").getBinding("items")
+                    .create({ locale: "", title: "", descr: "" });
+
+                // A creation cancelled by "Cancel" rejects; nothing to report then
+                oContext.created().catch(() => {});
+            },
+
+            // Marks a translation for deletion; it is sent with the next "Save"
+            onDeleteTranslation: function (oEvent) {
+                oEvent.getSource().getBindingContext().delete(EDIT_GROUP_ID).catch(() => {});
+            },
+
+            /**
+             * Checks the locales of the new translations, which are the keys of
+             * the texts and cannot be changed later.
+             * @returns {string} An error message, or an empty string if all locales are valid
+             */
+            _checkTranslations: function () {
+                const aContexts = this.byId("translationsTable").getBinding("items").getCurrentContexts();
+                const aLocales = aContexts.map((oContext) => oContext.getProperty("locale"));
+
+                for (const oContext of aContexts.filter((oContext) => oContext.isTransient())) {
+                    const sLocale = oContext.getProperty("locale");
+                    if (!LOCALE_PATTERN.test(sLocale)) {
+                        return this.getText("translationLocaleInvalid", [sLocale]);
+                    }
+                    if (aLocales.indexOf(sLocale) !== aLocales.lastIndexOf(sLocale)) {
+                        return this.getText("translationLocaleDuplicate", [sLocale]);
+                    }
+                }
+                return "";
+            },
+
+            // Shows the reverted value; pending edits would block the refresh, so they are dropped
+            onChangeReverted: function () {
+                this._discardChanges();
+                this.getView().getElementBinding().refresh();
+                this.refreshHistory();
+            },
+
+            // Resets the edit group so the form shows the server values again
+            _discardChanges: function () {
+                const oModel = this.getView().getModel();
+
+                if (oModel.hasPendingChanges(EDIT_GROUP_ID)) {
+                    oModel.resetChanges(EDIT_GROUP_ID);
+                }
+                this.getView().getModel("view").setProperty("/editMode", false);
+            },
+        });
+    }
+);
@@ -1,471 +1,2430 @@
 sap.ui.define(
     [
-        "sap/ui/core/mvc/Controller",
+        "./BaseController",
         "sap/ui/core/Fragment",
         "sap/m/MessageToast",
         "sap/m/MessageBox",
         "sap/ui/model/Filter",
         "sap/ui/model/FilterOperator",
+        "sap/ui/model/FilterType",
+        "sap/ui/model/Sorter",
+        "sap/ui/model/json/JSONModel",
+        "sap/ui/core/Messaging",
+        "sap/ui/core/format/NumberFormat",
+        "sap/ui/core/util/File",
+        "sap/ui/export/Spreadsheet",
+        "sap/ui/export/library",
+        "booklist/model/validator",
+        "booklist/model/importReader",
+        "booklist/model/formatter",
     ],
-    (Controller, Fragment, MessageToast, MessageBox, Filter, FilterOperator) => {
+    (BaseController, Fragment, MessageToast, MessageBox, Filter, FilterOperator, FilterType, Sorter, JSONModel, Messaging,
+        NumberFormat, File, Spreadsheet, exportLibrary, validator, importReader, formatter) => {
         "use strict";
 
-        return Controller.extend("booklist.controller.BookList", {
+        const EdmType = exportLibrary.EdmType;
+
+        // Update group that soft-deletes or restores an author together with their books
+        const CASCADE_GROUP_ID = "authorCascade";
+
+        // How long (ms) the "Undo" link stays available after deleting an author
+        const UNDO_DURATION = 6000;
+
+        // Update group that sends all changes of one bulk action in a single $batch
+        const BULK_GROUP_ID = "bulkUpdate";
+
+        // Update group of the open draft: the input is sent after a short pause in typing
+        const DRAFT_GROUP_ID = "draftSave";
+        const DRAFT_SAVE_DELAY = 800;
+
+        // Authors and books are draft-enabled; drafts are only shown under "My Drafts"
+        const ACTIVE_ONLY = new Filter("IsActiveEntity", FilterOperator.EQ, true);
+
+        // Dialog fields checked by the validator, mapped to their input ID suffix;
+        // the Add and Edit dialogs prefix the IDs with "add" and "edit"
+        const AUTHOR_FIELDS = { name: "NameInput", bio: "BioInput" };
+        const BOOK_FIELDS = {
+            title: "TitleInput",
+            descr: "DescrInput",
+            stock: "StockInput",
+            price: "PriceInput",
+            currency: "CurrencyInput",
+        };
+
+        // The Edit dialog has no stock: it only changes through receiveStock and sellStock
+        const BOOK_EDIT_FIELDS = {
+            title: BOOK_FIELDS.title,
+            descr: BOOK_FIELDS.descr,
+            price: BOOK_FIELDS.price,
+            currency: BOOK_FIELDS.currency,
+        };
+
+        // Add and Edit dialogs per draft-enabled entity set: fragment, input ID
+        // prefix, fields and confirm button of each, and how the form is checked
+        // and turned into entity data
+        const DRAFT_FORMS = {
+            "/Authors": {
+                add: { fragment: "AddAuthorDialog", prefix: "add", fields: AUTHOR_FIELDS, buttonId: "addAuthorConfirmBtn" },
+                edit: { fragment: "EditAuthorDialog", prefix: "edit", fields: AUTHOR_FIELDS, buttonId: "editAuthorConfirmBtn" },
+                validate: validator.validateAuthor,
+                toPayload: (oValues) => oValues,
+            },
+            "/Books": {
+                add: { fragment: "AddBookDialog", prefix: "add", fields: BOOK_FIELDS, buttonId: "addBookConfirmBtn" },
+                edit: { fragment: "EditBookDialog", prefix: "edit", fields: BOOK_EDIT_FIELDS, buttonId: "editBookConfirmBtn" },
+                validate: validator.validateBook,
+                toPayload: validator.toBookPayload,
+            },
+        };
+
+        // Update group that sends the creates of one import batch in a single $batch
+        const IMPORT_GROUP_ID = "bookImport";
+
+        // Number of creates sent per $batch by the import
+        const IMPORT_BATCH_SIZE = 100;
+
+        // Book fields offered in the import column mapping (with the i18n key of
+        // their label), and the normalized column headers mapped to them automatically
+        const IMPORT_FIELDS = [
+            { field: "author", labelKey: "fieldAuthor", aliases: ["author", "authorid", "authorname"] },
+            { field: "title", labelKey: "fieldTitle", required: true, aliases: ["title"] },
+            { field: "descr", labelKey: "fieldDescription", required: true, aliases: ["descr", "description"] },
+            { field: "stock", labelKey: "fieldStock", required: true, aliases: ["stock", "quantity", "qty"] },
+            { field: "price", labelKey: "fieldPrice", aliases: ["price"] },
+            { field: "currency", labelKey: "fieldCurrency", aliases: ["currency", "currencycode"] },
+            { field: "bio", labelKey: "importFieldNewAuthorBio", aliases: ["bio", "authorbio"] },
+        ];
+
+        // Selected index of the "Match authors by" radio buttons
+        const AUTHOR_MATCH_NAME = 0;
+        const AUTHOR_MATCH_ID = 1;
+
+        // Columns of the exports, matching the columns of the authors list and the
+        // books table; "path" is read from the service, "property" is the column in the file
+        const AUTHOR_EXPORT_COLUMNS = [
+            { labelKey: "fieldName", path: "name", property: "name", type: EdmType.String, width: 30 },
+            { labelKey: "fieldBio", path: "bio", property: "bio", type: EdmType.String, width: 60 },
+        ];
+        const BOOK_EXPORT_COLUMNS = [
+            { labelKey: "fieldTitle", path: "title", property: "title", type: EdmType.String, width: 35 },
+            { labelKey: "fieldAuthor", path: "author/name", property: "authorName", type: EdmType.String, width: 25 },
+            { labelKey: "fieldDescription", path: "descr", property: "descr", type: EdmType.String, width: 60 },
+            { labelKey: "fieldStock", path: "stock", property: "stock", type: EdmType.Number, scale: 0 },
+            { labelKey: "fieldPrice", path: "price", property: "price", type: EdmType.Currency, unitProperty: "currency_code" },
+            { labelKey: "fieldCurrency", path: "currency_code", property: "currency_code", type: EdmType.String },
+        ];
+
+        // Columns added to an export on request
+        const AUDIT_EXPORT_COLUMNS = [
+            { labelKey: "fieldCreatedAt", path: "createdAt", property: "createdAt", type: EdmType.DateTime, width: 20 },
+            { labelKey: "fieldCreatedBy", path: "createdBy", property: "createdBy", type: EdmType.String, width: 25 },
+            { labelKey: "fieldModifiedAt", path: "modifiedAt", property: "modifiedAt", type: EdmType.DateTime, width: 20 },
+            { labelKey: "fieldModifiedBy", path: "modifiedBy", property: "modifiedBy", type: EdmType.String, width: 25 },
+        ];
+
+        // i18n keys of the labels of the properties listed in the conflict dialog
+        const PROPERTY_LABELS = {
+            name: "fieldName",
+            bio: "fieldBio",
+            title: "fieldTitle",
+            descr: "fieldDescription",
+            stock: "fieldStock",
+            price: "fieldPrice",
+            currency_code: "fieldCurrency",
+        };
+
+        return BaseController.extend("booklist.controller.BookList", {
+            formatter: formatter,
+
             // Holds the dialog instance so we load it only once
             _oAuthorDialog: null,
 
             // Holds the book dialog instance (Add or Edit) so we load it only once
             _oBookDialog: null,
 
-            // Stores the selected author’s binding context when editing
-            _oEditContext: null,
+            // Holds the bulk action dialog and the books it applies to
+            _oBulkDialog: null,
+            _aBulkContexts: null,
+
+            // Holds the dialog that reports the per-row outcome of a bulk action
+            _oBulkResultDialog: null,
+
+            // Holds the import wizard dialog
+            _oImportDialog: null,
+
+            // The draft the open Add or Edit dialog works on, and the timer that saves it
+            _oDraftContext: null,
+            _iDraftSaveTimer: null,
+
+            // modifiedAt of the active entry the user already resolved a conflict with
+            _sConflictCheckedAt: null,
+
+            // Holds the "My Drafts" dialog
+            _oDraftsDialog: null,
+
+            // Describes the form of the open Add/Edit dialog for the live validation
+            _oActiveForm: null,
+
+            // Holds the conflict dialog and the callback receiving the user's choice
+            _oConflictDialog: null,
+            _fnResolveConflict: null,
 
             // Stores the the selected author’s ID
             _sSelectedAuthorId: null,
 
-            // Lifecycle hook—could initialize additional logic if needed
-            onInit() { },
+            // Stores the ID of the book selected through the route
+            _sSelectedBookId: null,
+
+            // Remembers the last cascaded author deletion while it can still be undone
+            _oUndoDelete: null,
+
+            // Timer that hides the "Undo" link again
+            _iUndoTimer: null,
+
+            // Holds the sort dialog instance and the current sort order of the books table
+            _oSortDialog: null,
+            _oBookSorter: null,
+
+            // Sets up the models behind the books filter bar and the stock highlight, and listens to the routes
+            onInit() {
+                const oRouter = this.getOwnerComponent().getRouter();
+
+                this.getView().setModel(new JSONModel(this._getInitialBookFilter()), "bookFilter");
+                this.getView().setModel(new JSONModel({
+                    lowStockThreshold: this._getLowStockThreshold(),
+                }), "view");
+                // Save status of the open draft, shown in the Add and Edit dialogs, and its cover preview
+                this.getView().setModel(new JSONModel({ status: "", coverSrc: "", coverUploading: false }), "draft");
+
+                oRouter.getRoute("RouteBookList").attachPatternMatched(this._onBookListMatched, this);
+                oRouter.getRoute("RouteAuthor").attachPatternMatched(this._onAuthorMatched, this);
+                oRouter.getRoute("RouteBook").attachPatternMatched(this._onAuthorMatched, this);
+            },
+
+            // Stops pending timers when the view is destroyed
+            onExit() {
+                clearTimeout(this._iUndoTimer);
+                clearTimeout(this._iDraftSaveTimer);
+            },
 
-            // Handler for the "Add Author" button: lazy-loads the fragment and opens the dialog
+            // Handler for the "Add Author" button: creates a draft and opens the dialog on it
             onAddAuthor: async function () {
-                if (!this._oAuthorDialog) {
-                    this._oAuthorDialog = await Fragment.load({
-                        id: this.getView().getId(),
-                        name: "booklist.view.AddAuthorDialog",
-                        controller: this,
-                    });
+                let oDraftContext;
+                try {
+                    oDraftContext = await this._createEntity("/Authors", {});
+                } catch (error) {
+                    MessageBox.error(this.getText("draftCreateFailed", [error.message]));
+                    return;
                 }
-                this._oAuthorDialog.open();
+                this._openDraftDialog(oDraftContext, false);
             },
 
             /**
             * onEditAuthor
-            * Ensures exactly one author is selected, saves its context,
-            * pre-fills the Edit dialog inputs, and opens the dialog.
+            * Ensures exactly one author is selected and opens the Edit dialog
+            * on a draft of it.
             */
-            onEditAuthor: async function () {
+            onEditAuthor: function () {
                 const oList = this.byId("authorList");
                 const aContexts = oList.getSelectedContexts();
 
                 if (aContexts.length !== 1) {
-                    MessageToast.show("Please select one author to edit.");
+                    MessageToast.show(this.getText("selectAuthorToEdit"));
                     return;
                 }
+                this._editDraft(aContexts[0]);
+            },
 
-                // Keep the selected context for the update call
-                this._oEditContext = aContexts[0];
-                const oData = this._oEditContext.getObject();
+            // Returns the entity set of an author or book context, e.g. "/Authors"
+            _getEntitySet: function (oContext) {
+                const sPath = oContext.getPath();
+                return sPath.slice(0, sPath.indexOf("("));
+            },
 
-                // Load the Edit fragment if not already loaded
-                if (!this._oAuthorDialog) {
-                    this._oAuthorDialog = await Fragment.load({
-                        id: this.getView().getId(),
-                        name: "booklist.view.EditAuthorDialog",
-                        controller: this,
+            // Returns the context of an active author or book, or of its draft
+            _getEntityContext: function (sEntitySet, sId, bActive) {
+                return this.getView().getModel()
+                    .bindContext(sEntitySet + "(ID=" + sId + ",IsActiveEntity=" + bActive + ")")
+                    .getBoundContext();
+            },
+
+            /**
+             * Opens the Edit dialog on the draft of an active author or book: the
+             * user's own draft if there already is one, else a new copy of the
+             * entry. While someone else has a draft of it, the server refuses.
+             */
+            _editDraft: async function (oActiveContext) {
+                try {
+                    if (!await oActiveContext.requestProperty("HasDraftEntity")) {
+                        await this.getView().getModel()
+                            .bindContext("BookService.draftEdit(...)", oActiveContext)
+                            .setParameter("PreserveChanges", true)
+                            .invoke();
+                    }
+                } catch (error) {
+                    MessageBox.error(this.getText("draftEditFailed", [error.message]));
+                    return;
+                }
+
+                this._openDraftDialog(this._getEntityContext(this._getEntitySet(oActiveContext),
+                    oActiveContext.getProperty("ID"), false), true);
+            },
+
+            /**
+             * Loads the Add or Edit dialog of the draft's entity set and fills it
+             * with the draft's values. Whatever the user types is saved into the
+             * draft (see onFormLiveChange), so closing the dialog or the browser
+             * loses nothing; the draft is only applied by the confirm button.
+             * @param {sap.ui.model.odata.v4.Context} oDraftContext The draft
+             * @param {boolean} bEdit Whether the draft edits an existing entry
+             */
+            _openDraftDialog: async function (oDraftContext, bEdit) {
+                const sEntitySet = this._getEntitySet(oDraftContext);
+                const oEntityForms = DRAFT_FORMS[sEntitySet];
+                const oForm = bEdit ? oEntityForms.edit : oEntityForms.add;
+                const aPaths = Object.keys(oForm.fields)
+                    .map((sField) => (sField === "currency" ? "currency_code" : sField));
+                // Not a form field: tells whether the draft has a cover to preview
+                if (sEntitySet === "/Books") {
+                    aPaths.push("coverType");
+                }
+
+                const oData = {};
+                try {
+                    const aValues = await oDraftContext.requestProperty(aPaths);
+                    aPaths.forEach((sPath, i) => {
+                        oData[sPath] = aValues[i];
                     });
+                } catch (error) {
+                    // e.g. the draft was discarded in another tab
+                    MessageBox.error(this.getText("draftOpenFailed", [error.message]));
+                    return;
                 }
 
-                // Prefill dialog fields with the selected author’s current data
-                const sFragId = this.getView().getId();
-                Fragment.byId(sFragId, "editNameInput").setValue(oData.name);
-                Fragment.byId(sFragId, "editBioInput").setValue(oData.bio);
+                const oDialog = await Fragment.load({
+                    id: this.getView().getId(),
+                    name: "booklist.view." + oForm.fragment,
+                    controller: this,
+                });
+                // The dialog's texts come from the view's i18n model, the currency value help from its OData model
+                this.getView().addDependent(oDialog);
+                if (sEntitySet === "/Authors") {
+                    this._oAuthorDialog = oDialog;
+                } else {
+                    this._oBookDialog = oDialog;
+                }
 
-                this._oAuthorDialog.open();
+                this._oDraftContext = oDraftContext;
+                this._sConflictCheckedAt = null;
+                this.getView().getModel("draft").setProperty("/status", this.getText("draftSaved"));
+                this._showDraftCover(oData.coverType);
+                this._setActiveForm(oForm.prefix, oForm.fields, oEntityForms.validate, oForm.buttonId,
+                    oEntityForms.toPayload);
+                this._fillForm(oData, bEdit);
+                oDialog.open();
             },
 
             /**
-       * Marks the given entity as deleted without removing it from the backend.
-       * This “soft delete” simply sets the isDeleted flag to true,
-       * allowing us to filter out or archive records without losing history.
-       */
-            _performSoftDelete: async function (oContext) {
-                await oContext.setProperty("isDeleted", true);
+             * Writes the valid input of the open form into the draft and sends it.
+             * Invalid values stay in the form only, so the draft never holds a
+             * value its type rejects. Failed changes stay pending and are sent
+             * again with the next save.
+             * @returns {Promise<boolean>} Whether the draft holds the current input
+             */
+            _saveDraft: async function () {
+                const oModel = this.getView().getModel();
+                const oStatus = this.getView().getModel("draft");
+                const oValues = this._readForm();
+                const mErrors = this._oActiveForm.validate(oValues, this._getCurrencyCodes());
+                const oPayload = this._oActiveForm.toPayload(oValues);
+
+                clearTimeout(this._iDraftSaveTimer);
+                Object.keys(oPayload).forEach((sProperty) => {
+                    const sField = sProperty === "currency_code" ? "currency" : sProperty;
+                    if (!mErrors[sField] && oPayload[sProperty] !== this._oDraftContext.getProperty(sProperty)) {
+                        // A failure is reported below through the pending changes
+                        this._oDraftContext.setProperty(sProperty, oPayload[sProperty], DRAFT_GROUP_ID)
+                            .catch(() => {});
+                    }
+                });
+
+                if (!oModel.hasPendingChanges(DRAFT_GROUP_ID)) {
+                    return true;
+                }
+
+                oStatus.setProperty("/status", this.getText("draftSaving"));
+                await oModel.submitBatch(DRAFT_GROUP_ID);
+
+                const bSaved = !oModel.hasPendingChanges(DRAFT_GROUP_ID);
+                oStatus.setProperty("/status", this.getText(bSaved ? "draftSaved" : "draftSaveFailed"));
+                return bSaved;
             },
 
             /**
-             * Permanently removes the given entity from the backend.
-             * This “hard delete” issues an OData DELETE request on the context,
-             * eliminating the record entirely.
+             * Applies the open draft: saves the last input, checks it against
+             * changes made to the entry meanwhile and activates it. The server
+             * validates the entry only now; its errors are shown on the fields
+             * and the draft stays open.
+             * @returns {Promise<boolean>} Whether the draft was activated
              */
-            _performHardDelete: async function (oContext) {
-                await oContext.delete();
+            _activateDraft: async function () {
+                if (Object.keys(this._validateForm(true)).length > 0) {
+                    return false;
+                }
+                if (!await this._saveDraft()) {
+                    MessageBox.error(this.getText("draftSaveFailed"));
+                    return false;
+                }
+
+                try {
+                    if (!await this._checkDraftConflict()) {
+                        return false;
+                    }
+                    await this.getView().getModel()
+                        .bindContext("BookService.draftActivate(...)", this._oDraftContext)
+                        .invoke();
+                } catch (error) {
+                    this._showFormError(error);
+                    return false;
+                }
+                return true;
             },
 
-            onDeleteAuthor: function () {
-                // Get reference to the authors list control
-                const oList = this.byId("authorList");
-                // Retrieve all selected contexts (binding contexts) from the list
-                const aContexts = oList.getSelectedContexts();
+            /**
+             * The entry may have been changed without a draft since the draft was
+             * created, e.g. by a bulk action; activating would silently overwrite
+             * that. The conflict dialog lets the user overwrite those changes,
+             * merge field by field or reload the current values into the draft.
+             * @returns {Promise<boolean>} Whether the draft may be activated now
+             */
+            _checkDraftConflict: async function () {
+                const oDraftContext = this._oDraftContext;
+                const [bHasActive, sDraftCreatedAt] = await oDraftContext.requestProperty(
+                    ["HasActiveEntity", "DraftAdministrativeData/CreationDateTime"]);
+                if (!bHasActive) {
+                    return true;
+                }
 
-                // Ensure exactly one author is selected before proceeding
-                if (aContexts.length !== 1) {
-                    MessageToast.show("Please select one author to delete.");
-                    return;
+                const oValues = this._oActiveForm.toPayload(this._readForm());
+                const oActiveContext = this._getEntityContext(this._getEntitySet(oDraftContext),
+                    oDraftContext.getProperty("ID"), true);
+                const [sModifiedAt] = await oActiveContext.requestProperty(["modifiedAt"].concat(Object.keys(oValues)));
+
+                if (new Date(sModifiedAt) <= new Date(this._sConflictCheckedAt || sDraftCreatedAt)) {
+                    return true;
+                }
+                this._sConflictCheckedAt = sModifiedAt;
+
+                const oChosen = await this._resolveConflict(oActiveContext, oValues);
+                if (oChosen === oValues) {
+                    return true;
+                }
+
+                // Merge and Reload take over the current values of the fields not kept
+                this._fillForm(Object.assign({}, oActiveContext.getObject(), oChosen), true);
+                await this._saveDraft();
+                if (!oChosen) {
+                    MessageToast.show(this.getText("conflictReloaded"));
+                    return false;
+                }
+                return true;
+            },
+
+            // liveChange handler of every dialog input: re-validates the form and saves the draft after a pause
+            onFormLiveChange: function (oEvent) {
+                oEvent.getSource().data("touched", true);
+                this._validateForm(false);
+
+                clearTimeout(this._iDraftSaveTimer);
+                if (this._oDraftContext) {
+                    this._iDraftSaveTimer = setTimeout(this._saveDraft.bind(this), DRAFT_SAVE_DELAY);
                 }
-                // We only care about the first selected context
-                const oContext = aContexts[0];
+            },
 
+            // Handler for the "Discard Draft" button of the Add and Edit dialogs;
+            // an edited entry keeps its saved values
+            onDiscardDraft: function () {
+                this._confirmDiscardDraft(this._oDraftContext, () => this._closeAndDestroyDialog());
+            },
 
-                // Show a confirmation dialog before hard-deleting the record
-                MessageBox.confirm("Are you sure you want to delete this author?", {
+            // Deletes a draft after a confirmation and calls fnDiscarded afterwards
+            _confirmDiscardDraft: function (oDraftContext, fnDiscarded) {
+                MessageBox.confirm(this.getText("confirmDiscardDraft"), {
                     actions: [MessageBox.Action.OK, MessageBox.Action.CANCEL],
-                    onClose: async function (sAction) {
-                        // If the user cancels, do nothing
+                    onClose: async (sAction) => {
                         if (sAction !== MessageBox.Action.OK) {
                             return;
                         }
 
-                        try {
-                            // Perform the OData V4 delete operation on the selected context
-                            this._performSoftDelete(oContext);
-                            MessageToast.show("Author deleted successfully.");
+                        const oModel = this.getView().getModel();
+                        // Unsent input of the open draft would fail once it is gone
+                        if (oDraftContext === this._oDraftContext && oModel.hasPendingChanges(DRAFT_GROUP_ID)) {
+                            clearTimeout(this._iDraftSaveTimer);
+                            oModel.resetChanges(DRAFT_GROUP_ID);
+                        }
 
-                            // Refresh the list so the deleted entry is removed from the UI
-                            this._refreshAuthorList();
+                        try {
+                            await oDraftContext.delete("$auto");
                         } catch (error) {
-                            // Show an error dialog if the delete request fails
                             MessageBox.error(error.message);
+                            return;
                         }
-                    }.bind(this)  // Bind the handler so we can access `this._refreshAuthorList()`
+                        MessageToast.show(this.getText("draftDiscarded"));
+                        fnDiscarded();
+                    },
                 });
             },
 
-            // Handler for the dialog’s "Cancel" button: cleanly close and destroy the fragment
-            onDialogCancel: function () {
-                this._closeAndDestroyDialog();
+            // Escape closes the Add and Edit dialogs like their "Close" button
+            onDraftDialogEscape: function (oPromise) {
+                oPromise.reject();
+                this.onDialogCancel();
             },
 
-            // Handler for the dialog’s "Create" button:
-            // - Reads user inputs
-            // - Sends an OData CREATE request
-            // - Shows success or error feedback
-            // - Closes the dialog and refreshes the list
-            onAddAuthorConfirm: async function () {
-                const oModel = this.getView().getModel();
-                const sViewId = this.getView().getId();
-                const sName = Fragment.byId(sViewId, "addNameInput").getValue().trim();
-                const sBio = Fragment.byId(sViewId, "addBioInput").getValue().trim();
-                const bodyData = { name: sName, bio: sBio };
-
-                try {
-                    // Bind to /Authors and issue CREATE; wait for completion
-                    const oListBinding = oModel.bindList("/Authors");
-                    await oListBinding.create(bodyData).created();
-                    MessageToast.show("Author created");
-                } catch (error) {
-                    // Show an error dialog if the request fails
-                    MessageBox.error(error.message);
+            // Opens the user's drafts of authors and books, read fresh every time
+            onOpenDrafts: async function () {
+                if (!this._oDraftsDialog) {
+                    this._oDraftsDialog = await Fragment.load({
+                        id: this.getView().getId(),
+                        name: "booklist.view.DraftsDialog",
+                        controller: this,
+                    });
+                    // The tables need the view's OData and i18n models
+                    this.getView().addDependent(this._oDraftsDialog);
+                } else {
+                    ["authorDraftsTable", "bookDraftsTable"].forEach((sId) => {
+                        this.byId(sId).getBinding("items").refresh();
+                    });
                 }
-
-                this._closeAndDestroyDialog();
-                this._refreshAuthorList();
+                this._oDraftsDialog.open();
             },
 
-            /**
-             * onEditAuthorConfirm
-             * Reads updated values, updates the bound context properties,
-             * submits the OData update batch, shows feedback,
-             * then closes the dialog and refreshes the list.
-             */
-            onEditAuthorConfirm: async function () {
-                const sFragId = this.getView().getId();
-                const oModel = this.getView().getModel();
-                const sName = Fragment.byId(sFragId, "editNameInput").getValue().trim();
-                const sBio = Fragment.byId(sFragId, "editBioInput").getValue().trim();
-                const oContext = this._oEditContext; // previously stored binding context
-
-                try {
-                    // Update the properties in the context
-                    await oContext.setProperty("name", sName);
-                    await oContext.setProperty("bio", sBio);
-                    MessageToast.show("Author updated");
-                } catch (error) {
-                    MessageBox.error(error.message);
-                }
-
-                this._closeAndDestroyDialog();
-                this._refreshAuthorList();
+            onCloseDrafts: function () {
+                this._oDraftsDialog.close();
             },
 
-            // Closes and destroys the dialog fragment to free resources
-            _closeAndDestroyDialog: function () {
-                // Close and destroy author dialog
-                if (this._oAuthorDialog) {
-                    this._oAuthorDialog.close();
-                    this._oAuthorDialog.destroy();
-                    this._oAuthorDialog = null;
-                }
+            // Continues a listed draft in its Add or Edit dialog
+            onResumeDraft: function (oEvent) {
+                const oContext = oEvent.getSource().getBindingContext();
 
-                // Close and destroy book dialog
-                if (this._oBookDialog) {
-                    this._oBookDialog.close();
-                    this._oBookDialog.destroy();
-                    this._oBookDialog = null;
-                }
+                this._oDraftsDialog.close();
+                this._openDraftDialog(this._getEntityContext(this._getEntitySet(oContext), oContext.getProperty("ID"), false),
+                    oContext.getProperty("HasActiveEntity"));
             },
 
-            // Refreshes the authors list so newly created entries appear immediately
-            _refreshAuthorList: function () {
-                const oList = this.byId("authorList");
-                const oBinding = oList && oList.getBinding("items");
-                if (oBinding) {
-                    oBinding.refresh();
-                }
+            // Discards a listed draft; the table drops its row by itself
+            onDiscardListedDraft: function (oEvent) {
+                this._confirmDiscardDraft(oEvent.getSource().getBindingContext(), () => {});
             },
 
-            onAuthorSelect: function () {
-                // Get the reference to the author list control by its ID
-                const oList = this.byId("authorList");
+            // Shows the cover of the open draft in its dialog, or the placeholder if it has none
+            _showDraftCover: function (sCoverType) {
+                const sSrc = sCoverType
+                    // A new URL each time, so that a replaced cover is not taken from the browser cache
+                    ? this.getView().getModel().getServiceUrl() + this._oDraftContext.getPath().slice(1)
+                        + "/cover?v=" + Date.now()
+                    : "";
+                this.getView().getModel("draft").setProperty("/coverSrc", sSrc);
+            },
 
-                // Get the currently selected item (author) from the list
-                const oAuthorSelected = oList.getSelectedItem();
+            /**
+             * change handler of the cover uploader of the Book dialogs: uploads
+             * the chosen image into the open draft. The uploader has already
+             * checked its type and size; the server checks them again.
+             */
+            onCoverFileChange: async function (oEvent) {
+                const oUploader = oEvent.getSource();
+                const oFile = (oEvent.getParameter("files") || [])[0];
+                const oStatus = this.getView().getModel("draft");
+                const oDraftContext = this._oDraftContext;
+                if (!oFile || !oDraftContext) {
+                    return;
+                }
 
-                // If no author is selected, exit the function
-                if (!oAuthorSelected) {
+                oStatus.setProperty("/coverUploading", true);
+                try {
+                    await this._uploadCover(oDraftContext, oFile);
+                } catch (error) {
+                    MessageBox.error(this.getText("coverUploadFailed", [error.message]));
                     return;
+                } finally {
+                    oStatus.setProperty("/coverUploading", false);
+                    // The same file may be chosen again, e.g. after a failed upload
+                    oUploader.clear();
                 }
 
-                // Retrieve the ID of the selected author from its binding context
-                const sAuthorId = oAuthorSelected.getBindingContext().getProperty("ID");
-                this._sSelectedAuthorId = sAuthorId;
+                if (oDraftContext === this._oDraftContext) {
+                    this._showDraftCover(oDraftContext.getProperty("coverType"));
+                    MessageToast.show(this.getText("coverUploaded"));
+                }
+            },
 
-                // Call a private function to bind and display books related to the selected author
-                this._bindBooks(sAuthorId);
+            onCoverTypeMismatch: function () {
+                MessageToast.show(this.getText("coverTypeMismatch"));
             },
 
-            _bindBooks: function (sAuthorID) {
-                // Get a reference to the books table control by its ID
-                const oTable = this.byId("booksTable");
+            onCoverSizeExceed: function (oEvent) {
+                MessageToast.show(this.getText("coverSizeExceeded", [oEvent.getSource().getMaximumFileSize()]));
+            },
 
-                // If no author ID is provided, unbind the table and exit
-                if (!sAuthorID) {
-                    oTable.unbindItems();
-                    return;
+            /**
+             * Sends an image as the cover of a book draft. The cover is a media
+             * stream, which the OData model does not write, so it is sent on its
+             * own with the image as request body. The upload changes the draft's
+             * ETag: input still to be saved is sent before, and the new ETag is
+             * read afterwards.
+             * @param {sap.ui.model.odata.v4.Context} oDraftContext The draft of the book
+             * @param {File} oFile The image
+             * @returns {Promise} Resolves when the draft has the new cover
+             */
+            _uploadCover: async function (oDraftContext, oFile) {
+                if (!await this._saveDraft()) {
+                    throw new Error(this.getText("draftSaveFailed"));
                 }
 
-                // Bind the table items to the /Books entity set, filtered by the selected author's ID
-                oTable.bindItems({
-                    path: "/Books", // OData entity set
-                    filters: [  new Filter("author_ID", FilterOperator.EQ, sAuthorID),
-                                new Filter("isDeleted", FilterOperator.EQ, false)
-                    ], // Show only books matching the selected author
-                    template: new sap.m.ColumnListItem({
-                        cells: [
-                            // Display the book title
-                            new sap.m.Text({ text: "{title}" }),
-                            // Display the book description
-                            new sap.m.Text({ text: "{descr}" }),
-                            // Display the stock as a number
-                            new sap.m.ObjectNumber({ number: "{stock}" }),
-                            // Display the price along with its currency code
-                            new sap.m.ObjectNumber({
-                                number: "{price}",
-                                unit: "{currency_code}",
-                            }),
-                        ],
-                    }),
-                });
-            },
-
-            // Opens the “Add Book” dialog, loading it lazily the first time
-            onAddBook: async function () {
-                if (this._sSelectedAuthorId === null) {
-                    MessageToast.show("Please select one author.");
-                    return;
+                const oResponse = await fetch(this.getView().getModel().getServiceUrl()
+                    + oDraftContext.getPath().slice(1) + "/cover", {
+                    method: "PUT",
+                    headers: { "Content-Type": oFile.type },
+                    body: oFile,
+                });
+                if (!oResponse.ok) {
+                    const oBody = await oResponse.json().catch(() => ({}));
+                    throw new Error((oBody.error && oBody.error.message) || oResponse.statusText);
                 }
 
-                if (!this._oBookDialog) {
-                    this._oBookDialog = await Fragment.load({
-                        id: this.getView().getId(),
-                        name: "booklist.view.AddBookDialog",
-                        controller: this,
-                    });
-                }
-                this._oBookDialog.open();
+                await oDraftContext.requestSideEffects(["coverType", "modifiedAt"]);
             },
 
-            // Reads input values, sends an OData CREATE for /Books, then refreshes the table
-            onAddBookConfirm: async function () {
-                const oModel = this.getView().getModel();
-                const sFragId = this.getView().getId();
-
-                // Retrieve and normalize input values
-                const sTitle = Fragment.byId(sFragId, "addTitleInput")
-                    .getValue()
-                    .trim();
-                const sDescr = Fragment.byId(sFragId, "addDescrInput")
-                    .getValue()
-                    .trim();
-                let iStock = parseInt(
-                    Fragment.byId(sFragId, "addStockInput").getValue().trim(),
-                    10
-                );
-                const fPrice = Fragment.byId(sFragId, "addPriceInput")
-                    .getValue()
-                    .trim();
-                const sCurrency = Fragment.byId(sFragId, "addCurrencyInput")
-                    .getValue()
-                    .trim()
-                    .toUpperCase();
-                const sAuthorId = this._sSelectedAuthorId; // selected author’s key
-
-                // Build payload for the CREATE request
-                const bodyData = {
-                    author_ID: sAuthorId,
-                    title: sTitle,
-                    descr: sDescr,
-                    stock: iStock,
-                    price: fPrice,
-                    currency: { code: sCurrency },
-                };
+            /**
+       * Marks the given entity as deleted without removing it from the backend.
+       * This “soft delete” simply sets the isDeleted flag to true,
+       * allowing us to filter out or archive records without losing history.
+       * An optional group ID sends the change with other changes of that group.
+       */
+            _performSoftDelete: async function (oContext, sGroupId) {
+                await oContext.setProperty("isDeleted", true, sGroupId);
+            },
 
-                try {
-                    // Issue CREATE against /Books and await confirmation
-                    const oListBinding = oModel.bindList("/Books");
-                    await oListBinding.create(bodyData).created();
-                    MessageToast.show("Book created");
-                    this._closeAndDestroyDialog();
-                    this._refreshBooks();
-                } catch (error) {
-                    // Display error if the request fails
-                    MessageBox.error(error.message);
-                }
+            /**
+             * Permanently removes the given entity from the backend.
+             * This “hard delete” issues an OData DELETE request on the context,
+             * eliminating the record entirely.
+             */
+            _performHardDelete: async function (oContext) {
+                await oContext.delete();
             },
 
-            // Refreshes the books table so new entries appear immediately
-            _refreshBooks: function () {
-                const oTable = this.byId("booksTable");
-                const oBinding = oTable.getBinding("items");
-                if (oBinding) {
-                    oBinding.refresh();
+            /**
+             * Reverts a soft delete by clearing the isDeleted flag,
+             * so the entity shows up in the regular lists again.
+             */
+            _performRestore: async function (oContext, sGroupId) {
+                await oContext.setProperty("isDeleted", false, sGroupId);
+            },
+
+            /**
+             * Reads all entities of the given path that match the filters.
+             * The contexts belong to a standalone list binding using the given
+             * update group, so changes on them are only sent with submitBatch.
+             * Besides the key, only the properties in sSelect are read.
+             */
+            _requestContexts: function (sPath, aFilters, sGroupId, sSelect) {
+                const mParameters = sGroupId ? { $$updateGroupId: sGroupId } : {};
+                if (sSelect) {
+                    mParameters.$select = sSelect;
                 }
+                const oListBinding = this.getView().getModel().bindList(sPath, null, [], aFilters, mParameters);
+                return oListBinding.requestContexts(0, Infinity);
             },
 
-            // Handler for the “Edit Book” action:
-            // • Ensures exactly one book is selected
-            // • Stores its binding context for later update
-            // • Lazy-loads the EditBookDialog fragment
-            // • Prefills all input fields with the current book data
-            // • Opens the dialog
-            onEditBook: async function () {
-                const oList = this.byId("booksTable");
+            /**
+             * onDeleteAuthor
+             * Counts the author's books, asks for confirmation and then
+             * soft-deletes the author together with all of those books.
+             */
+            onDeleteAuthor: async function () {
+                // Get reference to the authors list control
+                const oList = this.byId("authorList");
+                // Retrieve all selected contexts (binding contexts) from the list
                 const aContexts = oList.getSelectedContexts();
 
-                // Require one and only one selection
+                // Ensure exactly one author is selected before proceeding
                 if (aContexts.length !== 1) {
-                    MessageToast.show("Please select one book to edit.");
+                    MessageToast.show(this.getText("selectAuthorToDelete"));
                     return;
                 }
+                const sAuthorId = aContexts[0].getProperty("ID");
 
-                // Save the selected context for onEditBookConfirm
-                this._oEditContext = aContexts[0];
-                const oData = this._oEditContext.getObject();
+                // Look up the books that are deleted along with the author
+                let aBookIds;
+                try {
+                    const aBookContexts = await this._requestContexts("/Books", [
+                        new Filter("author_ID", FilterOperator.EQ, sAuthorId),
+                        new Filter("isDeleted", FilterOperator.EQ, false),
+                        ACTIVE_ONLY,
+                    ], CASCADE_GROUP_ID);
+                    aBookIds = aBookContexts.map((oContext) => oContext.getProperty("ID"));
+                } catch (error) {
+                    MessageBox.error(error.message);
+                    return;
+                }
 
-                // Load the EditBookDialog fragment if not already loaded
-                if (!this._oBookDialog) {
-                    this._oBookDialog = await Fragment.load({
-                        id: this.getView().getId(),
-                        name: "booklist.view.EditBookDialog",
-                        controller: this,
-                    });
-                    // Ensure the dialog is destroyed when the view is destroyed
-                    this.getView().addDependent(this._oBookDialog);
-                }
-
-                const sFragId = this.getView().getId();
-                // Prefill the dialog inputs with the book’s existing values
-                Fragment.byId(sFragId, "editTitleInput").setValue(oData.title);
-                Fragment.byId(sFragId, "editDescrInput").setValue(oData.descr);
-                Fragment.byId(sFragId, "editStockInput").setValue(oData.stock);
-                Fragment.byId(sFragId, "editPriceInput").setValue(oData.price);
-                Fragment.byId(sFragId, "editCurrencyInput").setValue(
-                    oData.currency_code
+                // Show a confirmation dialog before soft-deleting the records
+                MessageBox.confirm(
+                    this.getText("confirmDeleteAuthor", [aBookIds.length]),
+                    {
+                        actions: [MessageBox.Action.OK, MessageBox.Action.CANCEL],
+                        onClose: async function (sAction) {
+                            // If the user cancels, do nothing
+                            if (sAction !== MessageBox.Action.OK) {
+                                return;
+                            }
+
+                            try {
+                                await this._setAuthorDeleted(sAuthorId, aBookIds, true);
+                            } catch (error) {
+                                // Show an error dialog if the batch fails
+                                MessageBox.error(error.message);
+                                return;
+                            }
+
+                            // Leave the route of the deleted author
+                            if (this._sSelectedAuthorId === sAuthorId) {
+                                this._getRouter().navTo("RouteBookList", {}, true);
+                            }
+                            // Refresh the list so the deleted entry is removed from the UI
+                            this._refreshAuthorList();
+                            this._offerUndoDeleteAuthor(sAuthorId, aBookIds);
+                        }.bind(this)  // Bind the handler so we can access `this._refreshAuthorList()`
+                    }
                 );
-
-                this._oBookDialog.open();
             },
 
-            // Handler for the EditBookDialog’s “Save” button:
-            // • Reads updated field values
-            // • Updates properties in the stored binding context
-            // • Submits a batch update to the OData service
-            // • Shows a success toast or an error dialog
-            // • Closes the dialog and refreshes the books table
-            onEditBookConfirm: async function () {
+            /**
+             * Soft-deletes (or restores) an author and the given books in one $batch.
+             * All changes go through the dedicated cascade update group, so either
+             * all of them are applied or none; failed changes are discarded.
+             */
+            _setAuthorDeleted: async function (sAuthorId, aBookIds, bDeleted) {
                 const oModel = this.getView().getModel();
-                const sFragId = this.getView().getId();
-
-                // Read and normalize updated values from the dialog
-                const sTitle = Fragment.byId(sFragId, "editTitleInput")
-                    .getValue()
-                    .trim();
-                const sDescr = Fragment.byId(sFragId, "editDescrInput")
-                    .getValue()
-                    .trim();
-                let iStock = parseInt(
-                    Fragment.byId(sFragId, "editStockInput").getValue().trim(),
-                    10
-                );
-                const fPrice = Fragment.byId(sFragId, "editPriceInput")
-                    .getValue()
-                    .trim();
-                const sCurrency = Fragment.byId(sFragId, "editCurrencyInput")
-                    .getValue()
-                    .trim()
-                    .toUpperCase();
-
+                const [aAuthorContexts, aBookContexts] = await Promise.all([
+                    this._requestContexts("/Authors", [
+                        new Filter("ID", FilterOperator.EQ, sAuthorId),
+                        ACTIVE_ONLY,
+                    ], CASCADE_GROUP_ID),
+                    aBookIds.length === 0 ? [] : this._requestContexts("/Books", [
+                        new Filter({
+                            filters: aBookIds.map((sId) => new Filter("ID", FilterOperator.EQ, sId)),
+                            and: false,
+                        }),
+                        ACTIVE_ONLY,
+                    ], CASCADE_GROUP_ID),
+                ]);
+
+                const fnUpdate = bDeleted ? this._performSoftDelete : this._performRestore;
+                const aUpdates = aAuthorContexts.concat(aBookContexts)
+                    .map((oContext) => fnUpdate.call(this, oContext, CASCADE_GROUP_ID));
+
+                oModel.submitBatch(CASCADE_GROUP_ID);
                 try {
-                    const oContext = this._oEditContext;
-                    // Apply each updated property to the binding context
-                    await oContext.setProperty("title", sTitle);
-                    await oContext.setProperty("descr", sDescr);
-                    await oContext.setProperty("stock", iStock);
-                    await oContext.setProperty("price", fPrice);
-                    await oContext.setProperty("currency_code", sCurrency);
-
-                    MessageToast.show("Book updated");
-                    this._closeAndDestroyDialog();
-                    this._refreshBooks();
+                    await Promise.all(aUpdates);
                 } catch (error) {
-                    MessageBox.error(error.message);
+                    // Don't keep the failed changes around for the next submit
+                    oModel.resetChanges(CASCADE_GROUP_ID);
+                    throw error;
                 }
             },
 
-            onDeleteBook: function () {
-                const oList = this.byId("booksTable");
-                const aContexts = oList.getSelectedContexts();
+            // Shows the deletion toast and an "Undo" link for a few seconds
+            _offerUndoDeleteAuthor: function (sAuthorId, aBookIds) {
+                const oStrip = this.byId("undoDeleteStrip");
+                const sText = this.getText("authorDeleted", [aBookIds.length]);
+
+                clearTimeout(this._iUndoTimer);
+                this._oUndoDelete = { authorId: sAuthorId, bookIds: aBookIds };
+
+                MessageToast.show(sText, { duration: UNDO_DURATION });
+                oStrip.setText(sText);
+                oStrip.setVisible(true);
+
+                this._iUndoTimer = setTimeout(this._hideUndoDeleteAuthor.bind(this), UNDO_DURATION);
+            },
+
+            // Hides the "Undo" link and forgets the last deletion
+            _hideUndoDeleteAuthor: function () {
+                clearTimeout(this._iUndoTimer);
+                this._oUndoDelete = null;
+                this.byId("undoDeleteStrip").setVisible(false);
+            },
+
+            // Handler for the "Undo" link: restores the author and the same books together
+            onUndoDeleteAuthor: async function () {
+                const oUndo = this._oUndoDelete;
+                this._hideUndoDeleteAuthor();
+
+                if (!oUndo) {
+                    return;
+                }
+
+                try {
+                    await this._setAuthorDeleted(oUndo.authorId, oUndo.bookIds, false);
+                    MessageToast.show(this.getText("authorRestored", [oUndo.bookIds.length]));
+                } catch (error) {
+                    MessageBox.error(error.message);
+                }
+
+                this._refreshAuthorList();
+                this._refreshRecycleBin();
+            },
+
+            /**
+             * Handler for the dialog’s "Cancel" or "Close" button: cleanly close and
+             * destroy the fragment. The input of an Add or Edit dialog is saved into
+             * its draft first, so it can be continued from "My Drafts".
+             */
+            onDialogCancel: async function () {
+                if (this._oDraftContext) {
+                    if (!await this._saveDraft()) {
+                        MessageBox.error(this.getText("draftSaveFailed"));
+                        return;
+                    }
+                    MessageToast.show(this.getText("draftKept"));
+                }
+                this._closeAndDestroyDialog();
+            },
+
+            /**
+             * Remembers which dialog form is open: the ID prefix and fields of its
+             * inputs, the validator to run, the button to enable and how its values
+             * become entity data.
+             */
+            _setActiveForm: function (sPrefix, mFields, fnValidate, sButtonId, fnToPayload) {
+                this._oActiveForm = {
+                    prefix: sPrefix,
+                    fields: mFields,
+                    validate: fnValidate,
+                    buttonId: sButtonId,
+                    toPayload: fnToPayload,
+                };
+            },
+
+            // Returns the input of the open dialog form for a validator field
+            _getFormInput: function (sField) {
+                const oForm = this._oActiveForm;
+                return Fragment.byId(this.getView().getId(), oForm.prefix + oForm.fields[sField]);
+            },
+
+            // Fills the open dialog form with the given entity data and validates it;
+            // bShowAll marks invalid fields the user has not edited yet, too
+            _fillForm: function (oData, bShowAll) {
+                Object.keys(this._oActiveForm.fields).forEach((sField) => {
+                    const oInput = this._getFormInput(sField);
+                    const vValue = sField === "currency" ? oData.currency_code : oData[sField];
+
+                    if (oInput.isA("sap.m.ComboBox")) {
+                        oInput.setSelectedKey(vValue);
+                    } else {
+                        oInput.setValue(vValue ?? "");
+                    }
+                });
+                this._validateForm(bShowAll);
+            },
+
+            // Reads the trimmed values of the open dialog form; for a ComboBox the
+            // selected key, or the typed text if it matches no item
+            _readForm: function () {
+                const oValues = {};
+
+                Object.keys(this._oActiveForm.fields).forEach((sField) => {
+                    const oInput = this._getFormInput(sField);
+                    const sKey = oInput.isA("sap.m.ComboBox") ? oInput.getSelectedKey() : "";
+                    oValues[sField] = sKey || String(oInput.getValue() ?? "").trim();
+                });
+                if ("currency" in oValues) {
+                    oValues.currency = oValues.currency.toUpperCase();
+                }
+                return oValues;
+            },
+
+            /**
+             * Validates the open dialog form. Marks the invalid fields the user has
+             * already edited (all fields with bShowAll) and enables the confirm
+             * button only while the whole form is valid.
+             */
+            _validateForm: function (bShowAll) {
+                const mErrors = this._oActiveForm.validate(this._readForm(), this._getCurrencyCodes());
+
+                Object.keys(this._oActiveForm.fields).forEach((sField) => {
+                    const oInput = this._getFormInput(sField);
+                    if (!bShowAll && !oInput.data("touched")) {
+                        return;
+                    }
+                    oInput.setValueState(mErrors[sField] ? "Error" : "None");
+                    oInput.setValueStateText(mErrors[sField] ? this.getText(mErrors[sField]) : "");
+                });
+
+                Fragment.byId(this.getView().getId(), this._oActiveForm.buttonId)
+                    .setEnabled(Object.keys(mErrors).length === 0);
+                return mErrors;
+            },
+
+            // Known currency codes from the currency value help of the open form,
+            // or undefined as long as the value help has not been loaded
+            _getCurrencyCodes: function () {
+                if (!("currency" in this._oActiveForm.fields)) {
+                    return undefined;
+                }
+                const aItems = this._getFormInput("currency").getItems();
+                return aItems.length > 0 ? aItems.map((oItem) => oItem.getKey()) : undefined;
+            },
+
+            /**
+             * Shows a failed request on the dialog fields it concerns, using the
+             * targets of the OData error and its details (e.g. "title",
+             * "in/title" or "/Books(...)/title"). Errors without a target of
+             * the open form are shown in a MessageBox instead.
+             */
+            _showFormError: function (oError) {
+                const oODataError = oError.error || {};
+                const aUnmapped = [];
+
+                [oODataError].concat(oODataError.details || []).forEach((oDetail) => {
+                    const sProperty = (oDetail.target || "").split("/").pop();
+                    const sField = sProperty === "currency_code" ? "currency" : sProperty;
+
+                    if (sField && sField in this._oActiveForm.fields) {
+                        const oInput = this._getFormInput(sField);
+                        oInput.setValueState("Error");
+                        oInput.setValueStateText(oDetail.message);
+                    } else if (oDetail.message) {
+                        aUnmapped.push(oDetail.message);
+                    }
+                });
+
+                if (aUnmapped.length > 0 || !oODataError.message) {
+                    MessageBox.error(aUnmapped.join("\n") || oError.message);
+                }
+            },
+
+            /**
+             * Creates an entity and resolves with its context once the server has
+             * created it. For authors and books this is a draft, unless oData sets
+             * IsActiveEntity to true. A failed creation is withdrawn, so it is not
+             * repeated with the next request; the promise then rejects with an
+             * error shaped like an OData error, built from the messages the model
+             * reported.
+             */
+            _createEntity: function (sPath, oData) {
+                const oListBinding = this.getView().getModel().bindList(sPath);
+                const aKnownMessages = Messaging.getMessageModel().getData();
+
+                return new Promise((resolve, reject) => {
+                    oListBinding.attachEventOnce("createCompleted", (oEvent) => {
+                        const oContext = oEvent.getParameter("context");
+                        if (oEvent.getParameter("success")) {
+                            resolve(oContext);
+                            return;
+                        }
+
+                        const aMessages = Messaging.getMessageModel().getData()
+                            .filter((oMessage) => !aKnownMessages.includes(oMessage))
+                            .map((oMessage) => ({ target: oMessage.getTarget(), message: oMessage.getMessage() }));
+                        const oError = new Error(aMessages.length ? aMessages[0].message : this.getText("requestFailed"));
+                        oError.error = Object.assign({}, aMessages[0], { details: aMessages.slice(1) });
+
+                        // Deleting the transient context cancels its creation
+                        oContext.created().catch(() => {});
+                        oContext.delete();
+                        reject(oError);
+                    });
+                    oListBinding.create(oData);
+                });
+            },
+
+            // Handler for the dialog’s "Create" button:
+            // - Validates the input and activates the draft
+            // - Shows success feedback, or the error on the affected field
+            // - Closes the dialog and refreshes the list only on success
+            onAddAuthorConfirm: async function () {
+                if (!await this._activateDraft()) {
+                    // Keep the dialog open so the user's input is not lost
+                    return;
+                }
+
+                MessageToast.show(this.getText("authorCreated"));
+                this._closeAndDestroyDialog();
+                this._refreshAuthorList();
+            },
+
+            /**
+             * onEditAuthorConfirm
+             * Activates the draft of the author, shows feedback, then closes the
+             * dialog and refreshes the list. A failed activation keeps the dialog
+             * open and marks the affected field.
+             */
+            onEditAuthorConfirm: async function () {
+                if (!await this._activateDraft()) {
+                    return;
+                }
+
+                MessageToast.show(this.getText("authorUpdated"));
+                this._closeAndDestroyDialog();
+                this._refreshAuthorList();
+            },
+
+            // Closes and destroys the dialog fragment to free resources
+            _closeAndDestroyDialog: function () {
+                // The draft of an Add or Edit dialog is saved or gone by now
+                clearTimeout(this._iDraftSaveTimer);
+                this._oDraftContext = null;
+
+                // Close and destroy author dialog
+                if (this._oAuthorDialog) {
+                    this._oAuthorDialog.close();
+                    this._oAuthorDialog.destroy();
+                    this._oAuthorDialog = null;
+                }
+
+                // Close and destroy book dialog
+                if (this._oBookDialog) {
+                    this._oBookDialog.close();
+                    this._oBookDialog.destroy();
+                    this._oBookDialog = null;
+                }
+
+                // Close and destroy bulk action dialog
+                if (this._oBulkDialog) {
+                    this._oBulkDialog.close();
+                    this._oBulkDialog.destroy();
+                    this._oBulkDialog = null;
+                }
+
+                // Close and destroy import wizard
+                if (this._oImportDialog) {
+                    this._oImportDialog.close();
+                    this._oImportDialog.destroy();
+                    this._oImportDialog = null;
+                }
+            },
+
+            // Refreshes the authors list so newly created entries appear immediately
+            _refreshAuthorList: function () {
+                const oList = this.byId("authorList");
+                const oBinding = oList && oList.getBinding("items");
+                if (oBinding) {
+                    oBinding.refresh();
+                }
+                this.refreshHistory();
+            },
+
+            // Navigates to the selected author; the route then binds the books
+            onAuthorSelect: function () {
+                // Get the reference to the author list control by its ID
+                const oList = this.byId("authorList");
+
+                // Get the currently selected item (author) from the list
+                const oAuthorSelected = oList.getSelectedItem();
+
+                // If no author is selected, exit the function
+                if (!oAuthorSelected) {
+                    return;
+                }
+
+                // Retrieve the ID of the selected author from its binding context
+                const sAuthorId = oAuthorSelected.getBindingContext().getProperty("ID");
+                this._getRouter().navTo("RouteAuthor", { authorId: sAuthorId });
+            },
+
+            // Navigates to the selected book, unless the table is in multi-select mode
+            onBookSelect: function (oEvent) {
+                const oItem = oEvent.getParameter("listItem");
+
+                if (this.byId("booksTable").getMode() !== "SingleSelectMaster" || !oItem) {
+                    return;
+                }
+
+                this._getRouter().navTo("RouteBook", {
+                    authorId: this._sSelectedAuthorId,
+                    bookId: oItem.getBindingContext().getProperty("ID"),
+                });
+            },
+
+            // Opens the detail page of the book whose detail icon was pressed
+            onShowBookDetail: function (oEvent) {
+                const sBookId = oEvent.getSource().getBindingContext().getProperty("ID");
+                this._getRouter().navTo("RouteBookDetail", { bookId: sBookId });
+            },
+
+            // Opens the inventory and pricing analytics
+            onOpenDashboard: function () {
+                this._getRouter().navTo("RouteDashboard");
+            },
+
+            /**
+             * Switches the UI and data language. Unsaved changes would be lost
+             * with the old model, so the user has to confirm them away first.
+             */
+            onLanguageChange: function (oEvent) {
+                const sLanguage = oEvent.getParameter("selectedItem").getKey();
+                const oComponent = this.getOwnerComponent();
+
+                if (!this.getView().getModel().hasPendingChanges()) {
+                    oComponent.switchLanguage(sLanguage);
+                    return;
+                }
+
+                // Show the current language again until the user confirms
+                oEvent.getSource().setSelectedKey(oComponent.getModel("language").getProperty("/current"));
+                MessageBox.confirm(this.getText("confirmLanguageChange"), {
+                    actions: [MessageBox.Action.OK, MessageBox.Action.CANCEL],
+                    onClose: function (sAction) {
+                        if (sAction === MessageBox.Action.OK) {
+                            oComponent.switchLanguage(sLanguage);
+                        }
+                    },
+                });
+            },
+
+            // Shortcut to the component's router
+            _getRouter: function () {
+                return this.getOwnerComponent().getRouter();
+            },
+
+            // Route without an author: clears the selection and the books table
+            _onBookListMatched: function () {
+                this._sSelectedAuthorId = null;
+                this._sSelectedBookId = null;
+                this.byId("authorList").removeSelections(true);
+                this._bindBooks(null);
+                this._showHistory();
+            },
+
+            /**
+             * Restores the selection from the hash for the author and book routes.
+             * Unknown or deleted IDs lead to the "not found" page; books are only
+             * rebound when the author actually changed. The query "edit" opens the
+             * Edit dialog on the book, e.g. for the Edit button of the detail page.
+             */
+            _onAuthorMatched: async function (oEvent) {
+                const { authorId: sAuthorId, bookId: sBookId, "?query": oQuery } = oEvent.getParameter("arguments");
+                const aAuthorFilters = [
+                    new Filter("ID", FilterOperator.EQ, sAuthorId),
+                    new Filter("isDeleted", FilterOperator.EQ, false),
+                    ACTIVE_ONLY,
+                ];
+                const aBookFilters = [
+                    new Filter("ID", FilterOperator.EQ, sBookId),
+                    new Filter("author_ID", FilterOperator.EQ, sAuthorId),
+                    new Filter("isDeleted", FilterOperator.EQ, false),
+                    ACTIVE_ONLY,
+                ];
+
+                let bFound;
+                let oBookContext;
+                try {
+                    const [aAuthors, aBooks] = await Promise.all([
+                        this._requestContexts("/Authors", [new Filter({ filters: aAuthorFilters, and: true })]),
+                        // The author route has no book to check
+                        sBookId ? this._requestContexts("/Books", [new Filter({ filters: aBookFilters, and: true })]) : [null],
+                    ]);
+                    bFound = aAuthors.length > 0 && aBooks.length > 0;
+                    oBookContext = aBooks[0];
+                } catch (error) {
+                    // Malformed keys are rejected by the server; treat them like unknown IDs
+                    bFound = false;
+                }
+
+                if (!bFound) {
+                    this._getRouter().getTargets().display("TargetNotFound");
+                    return;
+                }
+
+                // Show the book list again, e.g. when the recycle bin was open
+                this.byId("splitApp").toDetail(this.createId("detailPage"));
+
+                if (this._sSelectedAuthorId !== sAuthorId) {
+                    this._sSelectedAuthorId = sAuthorId;
+                    this._bindBooks(sAuthorId);
+                }
+                this._sSelectedBookId = sBookId || null;
+
+                this._selectAuthorItem();
+                this._selectBookItem();
+                this._showHistory();
+
+                if (sBookId && oQuery && oQuery.edit) {
+                    // Without the query, going back to this hash does not open the dialog again
+                    this._getRouter().navTo("RouteBook", { authorId: sAuthorId, bookId: sBookId }, true);
+                    this._editDraft(oBookContext);
+                }
+            },
+
+            // Selects the list item of the current author once it is loaded
+            _selectAuthorItem: function () {
+                const oList = this.byId("authorList");
+                const oItem = oList.getItems().find((oListItem) =>
+                    oListItem.getBindingContext().getProperty("ID") === this._sSelectedAuthorId);
+
+                if (oItem) {
+                    oList.setSelectedItem(oItem);
+                } else {
+                    oList.removeSelections(true);
+                }
+            },
+
+            // Selects the table row of the current book once it is loaded
+            _selectBookItem: function () {
+                const oTable = this.byId("booksTable");
+                const oItem = oTable.getItems().find((oListItem) =>
+                    oListItem.getBindingContext().getProperty("ID") === this._sSelectedBookId);
+
+                if (oItem) {
+                    oTable.setSelectedItem(oItem);
+                } else if (oTable.getMode() === "SingleSelectMaster") {
+                    oTable.removeSelections(true);
+                }
+            },
+
+            // Keeps the author selection from the hash when the list (re)loads
+            onAuthorListUpdateFinished: function () {
+                this._selectAuthorItem();
+            },
+
+            // Handler for the author SearchField: filters name and bio on the server
+            onAuthorSearch: function (oEvent) {
+                const sQuery = (oEvent.getParameter("query") || "").trim();
+                const aFilters = [];
+
+                if (sQuery) {
+                    aFilters.push(new Filter({
+                        filters: ["name", "bio"].map((sPath) => new Filter({
+                            path: sPath,
+                            operator: FilterOperator.Contains,
+                            value1: sQuery,
+                            caseSensitive: false,
+                        })),
+                        and: false,
+                    }));
+                }
+
+                // Combined with the binding's own "isDeleted eq false and IsActiveEntity eq true" $filter
+                this.byId("authorList").getBinding("items").filter(aFilters);
+            },
+
+            _bindBooks: function (sAuthorID) {
+                // Get a reference to the books table control by its ID
+                const oTable = this.byId("booksTable");
+
+                // If no author ID is provided, unbind the table and exit
+                if (!sAuthorID) {
+                    oTable.unbindItems();
+                    this.byId("booksTableTitle").setText(this.getText("booksTitle"));
+                    return;
+                }
+
+                // Bind the table items to the /Books entity set, filtered by the selected author's ID
+                // and the filter bar; paging, filtering and sorting all happen on the server
+                oTable.bindItems({
+                    path: "/Books", // OData entity set
+                    // modifiedAt is the ETag, needed for the concurrency check on updates
+                    parameters: { $count: true, $select: "modifiedAt" },
+                    filters: this._getBookFilters(sAuthorID),
+                    sorter: this._oBookSorter,
+                    template: this.byId("booksTableTemplate"),
+                    templateShareable: true,
+                });
+            },
+
+            /**
+             * Builds the filter for the books table: the selected author, the
+             * isDeleted flag, active entries only and every criterion entered in
+             * the filter bar.
+             * Wrapped into one "and" filter, since UI5 ORs top-level filters on the same path.
+             */
+            _getBookFilters: function (sAuthorID) {
+                const oCriteria = this.getView().getModel("bookFilter").getData();
+                const aFilters = [
+                    new Filter("author_ID", FilterOperator.EQ, sAuthorID),
+                    new Filter("isDeleted", FilterOperator.EQ, false),
+                    ACTIVE_ONLY,
+                ];
+                const addRange = (sPath, sMin, sMax) => {
+                    if (String(sMin).trim() !== "") {
+                        aFilters.push(new Filter(sPath, FilterOperator.GE, Number(sMin)));
+                    }
+                    if (String(sMax).trim() !== "") {
+                        aFilters.push(new Filter(sPath, FilterOperator.LE, Number(sMax)));
+                    }
+                };
+
+                if (oCriteria.title.trim()) {
+                    aFilters.push(new Filter({
+                        path: "title",
+                        operator: FilterOperator.Contains,
+                        value1: oCriteria.title.trim(),
+                        caseSensitive: false,
+                    }));
+                }
+                addRange("stock", oCriteria.stockMin, oCriteria.stockMax);
+                addRange("price", oCriteria.priceMin, oCriteria.priceMax);
+                if (oCriteria.currency.trim()) {
+                    aFilters.push(new Filter("currency_code", FilterOperator.EQ,
+                        oCriteria.currency.trim().toUpperCase()));
+                }
+                if (oCriteria.lowStock) {
+                    aFilters.push(new Filter("stock", FilterOperator.LT, this._getLowStockThreshold()));
+                }
+
+                return [new Filter({ filters: aFilters, and: true })];
+            },
+
+            // Stock below this value counts as low stock (configured in manifest.json)
+            _getLowStockThreshold: function () {
+                return this.getOwnerComponent().getManifestEntry("/sap.ui5/config/lowStockThreshold");
+            },
+
+            // Handler for every filter bar field: re-filters the books on the server
+            onBookFilterChange: function () {
+                const oBinding = this.byId("booksTable").getBinding("items");
+                if (oBinding) {
+                    oBinding.filter(this._getBookFilters(this._sSelectedAuthorId));
+                }
+            },
+
+            // Resets the filter bar to its initial values
+            onClearBookFilters: function () {
+                this.getView().getModel("bookFilter").setData(this._getInitialBookFilter());
+                this.onBookFilterChange();
+            },
+
+            // Initial (empty) criteria of the books filter bar
+            _getInitialBookFilter: function () {
+                return {
+                    title: "",
+                    stockMin: "",
+                    stockMax: "",
+                    priceMin: "",
+                    priceMax: "",
+                    currency: "",
+                    lowStock: false,
+                };
+            },
+
+            // Opens the sort dialog, loading it lazily the first time
+            onOpenBookSort: async function () {
+                if (!this._oSortDialog) {
+                    this._oSortDialog = await Fragment.load({
+                        id: this.getView().getId(),
+                        name: "booklist.view.BookSortDialog",
+                        controller: this,
+                    });
+                    // Kept for the lifetime of the view so it remembers the last sort order
+                    this.getView().addDependent(this._oSortDialog);
+                }
+                this._oSortDialog.open();
+            },
+
+            /**
+             * onBookSortConfirm
+             * Sorts the books on the server ($orderby) and shows the
+             * sort indicator on the matching column.
+             */
+            onBookSortConfirm: function (oEvent) {
+                const sPath = oEvent.getParameter("sortItem").getKey();
+                const bDescending = oEvent.getParameter("sortDescending");
+                const mColumns = {
+                    title: "titleColumn",
+                    stock: "stockColumn",
+                    price: "priceColumn",
+                };
+
+                this._oBookSorter = new Sorter(sPath, bDescending);
+
+                Object.values(mColumns).forEach((sColumnId) => {
+                    this.byId(sColumnId).setSortIndicator("None");
+                });
+                if (mColumns[sPath]) {
+                    this.byId(mColumns[sPath]).setSortIndicator(bDescending ? "Descending" : "Ascending");
+                }
+
+                const oBinding = this.byId("booksTable").getBinding("items");
+                if (oBinding) {
+                    oBinding.sort(this._oBookSorter);
+                }
+            },
+
+            // Shows the total number of matching books ($count) in the table title
+            // and keeps the book selection from the hash when the table (re)loads
+            onBooksUpdateFinished: function (oEvent) {
+                const iTotal = oEvent.getParameter("total");
+                this.byId("booksTableTitle").setText(
+                    this.byId("booksTable").getBinding("items")
+                        ? this.getText("booksTitleCount", [iTotal])
+                        : this.getText("booksTitle")
+                );
+                this._selectBookItem();
+            },
+
+            // Opens the “Add Book” dialog on a new draft of a book of the selected author
+            onAddBook: async function () {
+                if (this._sSelectedAuthorId === null) {
+                    MessageToast.show(this.getText("selectAuthor"));
+                    return;
+                }
+
+                let oDraftContext;
+                try {
+                    oDraftContext = await this._createEntity("/Books", { author_ID: this._sSelectedAuthorId });
+                } catch (error) {
+                    MessageBox.error(this.getText("draftCreateFailed", [error.message]));
+                    return;
+                }
+                this._openDraftDialog(oDraftContext, false);
+            },
+
+            // Activates the book's draft, then refreshes the table;
+            // a failure is shown on the affected field
+            onAddBookConfirm: async function () {
+                if (!await this._activateDraft()) {
+                    // Keep the dialog open and point at the rejected field
+                    return;
+                }
+
+                MessageToast.show(this.getText("bookCreated"));
+                this._closeAndDestroyDialog();
+                this._refreshBooks();
+            },
+
+            /**
+             * onExportAuthors
+             * Exports all authors matching the current search, in the order of the list.
+             */
+            onExportAuthors: function (oEvent) {
+                const oList = this.byId("authorList");
+                const aFilters = [new Filter("isDeleted", FilterOperator.EQ, false), ACTIVE_ONLY]
+                    .concat(oList.getBinding("items").getFilters(FilterType.Application));
+
+                this._exportRows(oEvent.getParameter("item").getKey(), {
+                    control: oList,
+                    fileName: this.getText("authorsTitle"),
+                    path: "/Authors",
+                    filters: [new Filter({ filters: aFilters, and: true })],
+                    sorters: [new Sorter("name")],
+                    columns: AUTHOR_EXPORT_COLUMNS,
+                });
+            },
+
+            /**
+             * onExportBooks
+             * Exports all books of the selected author that match the filter bar,
+             * in the current sort order and including the author's name.
+             */
+            onExportBooks: function (oEvent) {
+                if (!this._sSelectedAuthorId) {
+                    MessageToast.show(this.getText("selectAuthor"));
+                    return;
+                }
+
+                this._exportRows(oEvent.getParameter("item").getKey(), {
+                    control: this.byId("booksTable"),
+                    fileName: this.getText("booksTitle"),
+                    path: "/Books",
+                    filters: this._getBookFilters(this._sSelectedAuthorId),
+                    sorters: this._oBookSorter ? [this._oBookSorter] : [],
+                    columns: BOOK_EXPORT_COLUMNS,
+                });
+            },
+
+            /**
+             * Reads every row the list or table would show - all pages, not only
+             * the loaded ones - and saves them as an XLSX or CSV file.
+             * @param {string} sKey The chosen menu item: "xlsx" or "csv", with "-audit" for the audit fields
+             * @param {object} oExport The control, file name, path, filters, sorters and columns to export
+             */
+            _exportRows: async function (sKey, oExport) {
+                const [sFormat, sAudit] = sKey.split("-");
+                const aColumns = oExport.columns.concat(sAudit ? AUDIT_EXPORT_COLUMNS : []);
+
+                // Select exactly the exported properties; "author/name" becomes an $expand
+                const mParameters = { $select: [], $expand: {} };
+                aColumns.forEach((oColumn) => {
+                    const [sProperty, sNavigationProperty] = oColumn.path.split("/").reverse();
+                    if (sNavigationProperty) {
+                        mParameters.$expand[sNavigationProperty] = mParameters.$expand[sNavigationProperty] || { $select: [] };
+                        mParameters.$expand[sNavigationProperty].$select.push(sProperty);
+                    } else {
+                        mParameters.$select.push(sProperty);
+                    }
+                });
+
+                oExport.control.setBusy(true);
+                try {
+                    const oBinding = this.getView().getModel()
+                        .bindList(oExport.path, null, oExport.sorters, oExport.filters, mParameters);
+                    const aContexts = await oBinding.requestContexts(0, Infinity);
+
+                    // Decimals arrive as strings; the spreadsheet needs numbers to format them
+                    const aRows = aContexts.map((oContext) => {
+                        const oRow = {};
+                        aColumns.forEach((oColumn) => {
+                            const vValue = oContext.getProperty(oColumn.path);
+                            const bNumeric = oColumn.type === EdmType.Number || oColumn.type === EdmType.Currency;
+                            oRow[oColumn.property] = bNumeric && vValue != null ? Number(vValue) : vValue;
+                        });
+                        return oRow;
+                    });
+
+                    if (sFormat === "csv") {
+                        File.save(this._toCsv(aColumns, aRows), oExport.fileName, "csv", "text/csv", "utf-8", true);
+                    } else {
+                        await this._saveSpreadsheet(aColumns, aRows, oExport.fileName);
+                    }
+                } catch (error) {
+                    MessageBox.error(this.getText("exportFailed", [error.message]));
+                } finally {
+                    oExport.control.setBusy(false);
+                }
+            },
+
+            // Builds the XLSX file; amounts get the number of decimals of their currency
+            _saveSpreadsheet: async function (aColumns, aRows, sFileName) {
+                const oSpreadsheet = new Spreadsheet({
+                    workbook: {
+                        columns: aColumns.map((oColumn) => ({
+                            label: this.getText(oColumn.labelKey),
+                            property: oColumn.property,
+                            type: oColumn.type,
+                            scale: oColumn.scale,
+                            unitProperty: oColumn.unitProperty,
+                            displayUnit: false,
+                            width: oColumn.width,
+                        })),
+                    },
+                    dataSource: aRows,
+                    fileName: sFileName + ".xlsx",
+                });
+
+                try {
+                    await oSpreadsheet.build();
+                } finally {
+                    oSpreadsheet.destroy();
+                }
+            },
+
+            /**
+             * Builds the CSV text. Amounts are written with a "." as decimal
+             * separator and the decimals of their currency, e.g. 49.99 USD but
+             * 4999 JPY; cells with separators, quotes or line breaks are quoted.
+             */
+            _toCsv: function (aColumns, aRows) {
+                const oAmountFormat = NumberFormat.getCurrencyInstance({
+                    showMeasure: false,
+                    groupingEnabled: false,
+                    decimalSeparator: ".",
+                });
+                const toCell = (vValue) => {
+                    const sValue = vValue == null ? "" : String(vValue);
+                    return /[",\r\n]/.test(sValue) ? "\"" + sValue.replace(/"/g, "\"\"") + "\"" : sValue;
+                };
+
+                const aLines = [aColumns.map((oColumn) => toCell(this.getText(oColumn.labelKey))).join(",")];
+                aRows.forEach((oRow) => {
+                    aLines.push(aColumns.map((oColumn) => {
+                        const vValue = oRow[oColumn.property];
+                        if (oColumn.type === EdmType.Currency && vValue != null) {
+                            return toCell(oAmountFormat.format(vValue, oRow[oColumn.unitProperty]));
+                        }
+                        return toCell(vValue);
+                    }).join(","));
+                });
+                return aLines.join("\r\n");
+            },
+
+            // Refreshes the books table so new entries appear immediately
+            _refreshBooks: function () {
+                const oTable = this.byId("booksTable");
+                const oBinding = oTable.getBinding("items");
+                if (oBinding) {
+                    oBinding.refresh();
+                }
+                this.refreshHistory();
+            },
+
+            // A reverted change may affect the author's name as well as any of their books
+            onChangeReverted: function () {
+                this._refreshAuthorList();
+                this._refreshBooks();
+            },
+
+            // Shows the history of the selected book, or of the author if no book is selected
+            _showHistory: function () {
+                const oPanel = this.byId("historyPanel");
+                const bBook = !!this._sSelectedBookId;
+
+                oPanel.setVisible(!!this._sSelectedAuthorId);
+                oPanel.setHeaderText(this.getText(bBook ? "historyBookTitle" : "historyAuthorTitle"));
+                this.bindHistory(bBook ? "Books" : "Authors", this._sSelectedBookId || this._sSelectedAuthorId);
+            },
+
+            // Opens the quantity dialog for a delivery of the selected book
+            onReceiveStock: function () {
+                this._openStockDialogForSelection("receiveStock");
+            },
+
+            // Opens the quantity dialog for a sale of the selected book
+            onSellStock: function () {
+                this._openStockDialogForSelection("sellStock");
+            },
+
+            _openStockDialogForSelection: function (sAction) {
+                const aContexts = this.byId("booksTable").getSelectedContexts();
+
+                if (aContexts.length !== 1) {
+                    MessageToast.show(this.getText("selectBookForStock"));
+                    return;
+                }
+                this.openStockDialog(aContexts[0], sAction);
+            },
+
+            // Handler for the “Edit Book” action:
+            // • Ensures exactly one book is selected
+            // • Opens the EditBookDialog on a draft of it
+            onEditBook: function () {
+                const oList = this.byId("booksTable");
+                const aContexts = oList.getSelectedContexts();
+
+                // Require one and only one selection
+                if (aContexts.length !== 1) {
+                    MessageToast.show(this.getText("selectBookToEdit"));
+                    return;
+                }
+                this._editDraft(aContexts[0]);
+            },
+
+            // Handler for the EditBookDialog’s “Save” button:
+            // • Activates the draft, so its changes replace the book's values
+            // • Shows a success toast, or marks the fields the server rejected
+            // • Closes the dialog and refreshes the books table on success
+            onEditBookConfirm: async function () {
+                if (!await this._activateDraft()) {
+                    return;
+                }
+
+                MessageToast.show(this.getText("bookUpdated"));
+                this._closeAndDestroyDialog();
+                this._refreshBooks();
+            },
+
+            /**
+             * Opens the conflict dialog listing our values next to the server's
+             * current ones. Resolves with the values to write (all of ours for
+             * "Overwrite", the selected ones for "Merge"), or null for "Reload".
+             */
+            _resolveConflict: async function (oContext, oValues) {
+                const aRows = Object.keys(oValues).map((sProperty) => {
+                    const sMine = String(oValues[sProperty] ?? "");
+                    const sTheirs = String(oContext.getProperty(sProperty) ?? "");
+                    return {
+                        property: sProperty,
+                        label: PROPERTY_LABELS[sProperty] ? this.getText(PROPERTY_LABELS[sProperty]) : sProperty,
+                        mine: sMine,
+                        theirs: sTheirs,
+                        differs: sMine !== sTheirs,
+                        keepMine: sMine !== sTheirs,
+                    };
+                });
+
+                this._oConflictDialog = await Fragment.load({
+                    id: this.getView().getId(),
+                    name: "booklist.view.ConflictDialog",
+                    controller: this,
+                });
+                // The dialog's texts come from the view's i18n model
+                this.getView().addDependent(this._oConflictDialog);
+                this._oConflictDialog.setModel(new JSONModel({ rows: aRows, choice: null }), "conflict");
+                this._oConflictDialog.open();
+
+                const sChoice = await new Promise((resolve) => {
+                    this._fnResolveConflict = resolve;
+                });
+
+                if (sChoice === "overwrite") {
+                    return oValues;
+                }
+                if (sChoice === "merge") {
+                    const oMerged = {};
+                    aRows.filter((oRow) => oRow.keepMine).forEach((oRow) => {
+                        oMerged[oRow.property] = oValues[oRow.property];
+                    });
+                    return oMerged;
+                }
+                return null;
+            },
+
+            // Conflict dialog buttons: remember the choice and close the dialog
+            onConflictOverwrite: function () {
+                this._closeConflictDialog("overwrite");
+            },
+
+            onConflictMerge: function () {
+                this._closeConflictDialog("merge");
+            },
+
+            onConflictReload: function () {
+                this._closeConflictDialog("reload");
+            },
+
+            _closeConflictDialog: function (sChoice) {
+                this._oConflictDialog.getModel("conflict").setProperty("/choice", sChoice);
+                this._oConflictDialog.close();
+            },
+
+            // Hands the choice over once the dialog is closed; closing it with Escape means "Reload"
+            onConflictDialogClosed: function () {
+                const sChoice = this._oConflictDialog.getModel("conflict").getProperty("/choice");
+
+                this._oConflictDialog.destroy();
+                this._oConflictDialog = null;
+                this._fnResolveConflict(sChoice || "reload");
+            },
+
+            onDeleteBook: function () {
+                const oList = this.byId("booksTable");
+                const aContexts = oList.getSelectedContexts();
 
                 if (aContexts.length !== 1) {
-                  MessageToast.show("Please select one book to delete.");
-                  return;
+                    MessageToast.show(this.getText("selectBookToDelete"));
+                    return;
                 }
 
                 // Confirm with the user
-                MessageBox.confirm("Are you sure you want to delete this book?", {
-                  actions: [MessageBox.Action.OK, MessageBox.Action.CANCEL],
-                  onClose: async function (sAction) {
-                    if (sAction !== MessageBox.Action.OK) {
-                      return;
+                MessageBox.confirm(this.getText("confirmDeleteBook"), {
+                    actions: [MessageBox.Action.OK, MessageBox.Action.CANCEL],
+                    onClose: async function (sAction) {
+                        if (sAction !== MessageBox.Action.OK) {
+                            return;
+                        }
+
+                        try {
+                            const oContext = aContexts[0];
+
+                            // Perform the delete on the context
+                            await this._performSoftDelete(oContext);
+
+                            MessageToast.show(this.getText("bookDeleted"));
+
+                            // Leave the route of the deleted book, then refresh the list
+                            if (this._sSelectedBookId === oContext.getProperty("ID")) {
+                                this._getRouter().navTo("RouteAuthor", { authorId: this._sSelectedAuthorId }, true);
+                            }
+                            this._bindBooks(this._sSelectedAuthorId);
+                        } catch (oError) {
+                            MessageToast.show(
+                                this.getText("bookDeleteFailed", [oError.message || oError])
+                            );
+                        }
+                    }.bind(this),
+                });
+            },
+
+            // Switches the books table between single selection and multi-selection for bulk actions
+            onToggleMultiSelect: function (oEvent) {
+                const bMulti = oEvent.getParameter("pressed");
+                const oTable = this.byId("booksTable");
+
+                oTable.removeSelections(true);
+                oTable.setMode(bMulti ? "MultiSelect" : "SingleSelectMaster");
+                this.byId("bulkActionsBtn").setVisible(bMulti);
+            },
+
+            /**
+             * onBulkAction
+             * Handles the "Bulk Actions" menu: deletes the selected books after a
+             * confirmation, or opens the bulk dialog for the chosen change.
+             */
+            onBulkAction: async function (oEvent) {
+                const oItem = oEvent.getParameter("item");
+                const sAction = oItem.getKey();
+                const aContexts = this.byId("booksTable").getSelectedContexts();
+
+                if (aContexts.length === 0) {
+                    MessageToast.show(this.getText("selectBooks"));
+                    return;
+                }
+
+                if (sAction === "delete") {
+                    MessageBox.confirm(this.getText("confirmDeleteBooks", [aContexts.length]), {
+                        actions: [MessageBox.Action.OK, MessageBox.Action.CANCEL],
+                        onClose: function (sConfirm) {
+                            if (sConfirm === MessageBox.Action.OK) {
+                                this._runBulkUpdate(aContexts, oItem.getText(), (oContext) => [
+                                    this._performSoftDelete(oContext, BULK_GROUP_ID),
+                                ]);
+                            }
+                        }.bind(this),
+                    });
+                    return;
+                }
+
+                // Keep the selection for onBulkEditConfirm
+                this._aBulkContexts = aContexts;
+
+                if (!this._oBulkDialog) {
+                    this._oBulkDialog = await Fragment.load({
+                        id: this.getView().getId(),
+                        name: "booklist.view.BulkEditDialog",
+                        controller: this,
+                    });
+                    // The author selection needs the view's OData model
+                    this.getView().addDependent(this._oBulkDialog);
+                }
+
+                this._oBulkDialog.setModel(new JSONModel({
+                    action: sAction,
+                    title: oItem.getText(),
+                    count: aContexts.length,
+                    stockDelta: 0,
+                    reference: "",
+                    price: "",
+                    currency: "",
+                    authorId: "",
+                }), "bulk");
+                this._oBulkDialog.open();
+            },
+
+            /**
+             * onBulkEditConfirm
+             * Checks the bulk dialog input and applies the chosen change
+             * to every selected book in one batched update.
+             */
+            onBulkEditConfirm: function () {
+                const oData = this._oBulkDialog.getModel("bulk").getData();
+                let fnUpdate;
+
+                switch (oData.action) {
+                    case "stock": {
+                        const iDelta = parseInt(oData.stockDelta, 10);
+                        if (!iDelta) {
+                            MessageToast.show(this.getText("bulkStockChangeMissing"));
+                            return;
+                        }
+                        fnUpdate = (oContext) => {
+                            if ((oContext.getProperty("stock") || 0) + iDelta < 0) {
+                                throw new Error(this.getText("bulkStockNegative"));
+                            }
+                            return [this.moveStock(oContext, iDelta > 0 ? "receiveStock" : "sellStock",
+                                Math.abs(iDelta), oData.reference.trim(), BULK_GROUP_ID)];
+                        };
+                        break;
+                    }
+                    case "price": {
+                        const sPrice = String(oData.price).trim();
+                        const sCurrency = oData.currency.trim().toUpperCase();
+                        if (!sPrice && !sCurrency) {
+                            MessageToast.show(this.getText("bulkPriceMissing"));
+                            return;
+                        }
+                        if (sPrice && !(Number(sPrice) >= 0)) {
+                            MessageToast.show(this.getText("bulkPriceInvalid"));
+                            return;
+                        }
+                        fnUpdate = (oContext) => [
+                            sPrice && oContext.setProperty("price", sPrice, BULK_GROUP_ID),
+                            sCurrency && oContext.setProperty("currency_code", sCurrency, BULK_GROUP_ID),
+                        ].filter(Boolean);
+                        break;
                     }
+                    case "move":
+                        if (!oData.authorId) {
+                            MessageToast.show(this.getText("bulkAuthorMissing"));
+                            return;
+                        }
+                        fnUpdate = (oContext) => [
+                            oContext.setProperty("author_ID", oData.authorId, BULK_GROUP_ID),
+                        ];
+                        break;
+                    default:
+                        return;
+                }
+
+                const aContexts = this._aBulkContexts;
+                this._aBulkContexts = null;
+                this._closeAndDestroyDialog();
+                this._runBulkUpdate(aContexts, oData.title, fnUpdate);
+            },
+
+            /**
+             * Applies fnUpdate to each context, sends all resulting changes in one
+             * $batch through the bulk update group and reports the outcome per row.
+             * The batch sends all changes in one change set, so a single failing
+             * row fails all rows; they are therefore sent again one by one, which
+             * also yields the error of each row the server rejects.
+             * fnUpdate returns the promises of the changes for one context.
+             */
+            _runBulkUpdate: async function (aContexts, sTitle, fnUpdate) {
+                const oModel = this.getView().getModel();
+                const aTitles = aContexts.map((oContext) => oContext.getProperty("title"));
+                const aErrors = aContexts.map(() => null);
 
+                const aPromises = aContexts.map((oContext, i) => {
                     try {
-                      const oContext = aContexts[0];
+                        return Promise.all(fnUpdate(oContext));
+                    } catch (error) {
+                        // Rows rejected up front are not sent and reported like failed requests
+                        aErrors[i] = error;
+                        return null;
+                    }
+                });
+                oModel.submitBatch(BULK_GROUP_ID);
+
+                const aResults = await Promise.allSettled(aPromises.filter(Boolean));
+                if (aResults.some((oResult) => oResult.status === "rejected")) {
+                    // Don't send the failed changes again with the next submit
+                    oModel.resetChanges(BULK_GROUP_ID);
+
+                    for (let i = 0; i < aContexts.length; i++) {
+                        if (!aPromises[i]) {
+                            continue;
+                        }
+                        try {
+                            const aRowPromises = fnUpdate(aContexts[i]);
+                            oModel.submitBatch(BULK_GROUP_ID);
+                            await Promise.all(aRowPromises);
+                        } catch (error) {
+                            aErrors[i] = error;
+                            oModel.resetChanges(BULK_GROUP_ID);
+                        }
+                    }
+                }
+
+                const aRows = aTitles.map((sBookTitle, i) => ({
+                    title: sBookTitle,
+                    success: !aErrors[i],
+                    message: aErrors[i] ? aErrors[i].message : "",
+                }));
+
+                this._bindBooks(this._sSelectedAuthorId);
+                this._showBulkResult(sTitle, aRows);
+            },
+
+            // Opens the result dialog listing the success or failure of each row;
+            // rows may bring their own status text and state, e.g. "Skipped"
+            _showBulkResult: async function (sTitle, aRows, sSummary) {
+                const iFailed = aRows.filter((oRow) => !oRow.success).length;
+
+                if (!this._oBulkResultDialog) {
+                    this._oBulkResultDialog = await Fragment.load({
+                        id: this.getView().getId(),
+                        name: "booklist.view.BulkResultDialog",
+                        controller: this,
+                    });
+                    // The dialog's texts come from the view's i18n model
+                    this.getView().addDependent(this._oBulkResultDialog);
+                }
+
+                this._oBulkResultDialog.setModel(new JSONModel({
+                    title: sTitle,
+                    summary: sSummary || this.getText("bulkResultSummary", [aRows.length - iFailed, iFailed]),
+                    rows: aRows.map((oRow) => Object.assign({
+                        status: this.getText(oRow.success ? "statusSuccess" : "statusFailed"),
+                        state: oRow.success ? "Success" : "Error",
+                    }, oRow)),
+                }), "bulkResult");
+                this._oBulkResultDialog.open();
+            },
+
+            // Closes and destroys the bulk result dialog
+            onBulkResultClose: function () {
+                this._oBulkResultDialog.close();
+                this._oBulkResultDialog.destroy();
+                this._oBulkResultDialog = null;
+            },
+
+            /**
+             * onImportBooks
+             * Opens the import wizard. Without an author column, the imported
+             * books are added to the selected author.
+             */
+            onImportBooks: async function () {
+                if (!this._oImportDialog) {
+                    this._oImportDialog = await Fragment.load({
+                        id: this.getView().getId(),
+                        name: "booklist.view.ImportBooksDialog",
+                        controller: this,
+                    });
+                    // The dialog's texts come from the view's i18n model
+                    this.getView().addDependent(this._oImportDialog);
+                }
+
+                this._oImportDialog.setModel(new JSONModel({
+                    busy: false,
+                    fileName: "",
+                    fileLoaded: false,
+                    fileSummary: "",
+                    records: [],
+                    columnOptions: [],
+                    mapping: [],
+                    mappingValid: false,
+                    mappingHint: "",
+                    authorMatch: AUTHOR_MATCH_NAME,
+                    createMissingAuthors: false,
+                    rows: [],
+                    validCount: 0,
+                    previewSummary: "",
+                }), "import");
+                this._oImportDialog.open();
+            },
+
+            // Reads the chosen file and maps its columns to the book fields by their headers
+            onImportFileChange: async function (oEvent) {
+                const oFile = (oEvent.getParameter("files") || [])[0];
+                const oImport = this._oImportDialog.getModel("import");
+
+                this._discardImportProgress("importFileStep");
+                oImport.setProperty("/fileLoaded", false);
+                if (!oFile) {
+                    return;
+                }
+
+                oImport.setProperty("/busy", true);
+                try {
+                    const oTable = await importReader.readTable(oFile);
+                    const aHeaders = oTable.columns.map((sColumn) => sColumn.toLowerCase().replace(/[^a-z0-9]/g, ""));
+                    const aColumns = oTable.columns.map((sColumn, i) => sColumn || this.getText("importColumnDefault", [i + 1]));
+
+                    oImport.setProperty("/fileName", oFile.name);
+                    oImport.setProperty("/records", oTable.rows);
+                    oImport.setProperty("/columnOptions", [{ key: "", text: this.getText("importColumnNotImported") }].concat(
+                        aColumns.map((sColumn, i) => ({ key: String(i), text: sColumn }))
+                    ));
+                    oImport.setProperty("/mapping", IMPORT_FIELDS.map((oField) => {
+                        const iColumn = aHeaders.findIndex((sHeader) => oField.aliases.includes(sHeader));
+                        return {
+                            field: oField.field,
+                            label: this.getText(oField.labelKey),
+                            required: !!oField.required,
+                            column: iColumn < 0 ? "" : String(iColumn),
+                        };
+                    }));
+                    // An "author_ID" column as in db/data holds IDs, anything else names
+                    oImport.setProperty("/authorMatch", aHeaders.includes("authorid") ? AUTHOR_MATCH_ID : AUTHOR_MATCH_NAME);
+                    oImport.setProperty("/fileSummary", this.getText("importFileSummary",
+                        [oTable.rows.length, oTable.columns.length, oFile.name]));
+                    oImport.setProperty("/fileLoaded", true);
+                    this._checkImportMapping();
+                } catch (error) {
+                    MessageBox.error(this.getText("importFileError", [error.i18nKey ? this.getText(error.i18nKey) : error.message]));
+                } finally {
+                    oImport.setProperty("/busy", false);
+                }
+            },
+
+            onImportFileTypeMismatch: function () {
+                MessageToast.show(this.getText("importFileTypeMismatch"));
+            },
+
+            // Handler for all mapping controls: the preview has to be built again
+            onImportMappingChange: function () {
+                this._discardImportProgress("importMappingStep");
+                this._checkImportMapping();
+            },
+
+            // Sends the wizard back to the given step if the user has already gone further
+            _discardImportProgress: function (sStepId) {
+                const oWizard = Fragment.byId(this.getView().getId(), "importWizard");
+                const oStep = Fragment.byId(this.getView().getId(), sStepId);
+
+                if (oWizard.getSteps().indexOf(oStep) + 1 < oWizard.getProgress()) {
+                    oWizard.discardProgress(oStep);
+                }
+            },
+
+            // Returns the column index per mapped book field
+            _getImportColumns: function () {
+                const mColumns = {};
+                this._oImportDialog.getModel("import").getProperty("/mapping").forEach((oMapping) => {
+                    if (oMapping.column !== "") {
+                        mColumns[oMapping.field] = parseInt(oMapping.column, 10);
+                    }
+                });
+                return mColumns;
+            },
+
+            // The mapping is complete once every required field has a column;
+            // the author may instead come from the selected author
+            _checkImportMapping: function () {
+                const oImport = this._oImportDialog.getModel("import");
+                const mColumns = this._getImportColumns();
+                const aMissing = oImport.getProperty("/mapping")
+                    .filter((oMapping) => oMapping.required && oMapping.column === "")
+                    .map((oMapping) => oMapping.label);
+
+                if (!("author" in mColumns) && !this._sSelectedAuthorId) {
+                    aMissing.unshift(this.getText("fieldAuthor"));
+                }
+
+                oImport.setProperty("/mappingValid", aMissing.length === 0);
+                oImport.setProperty("/mappingHint", aMissing.length === 0 ? "" : this.getText("importMappingMissing", [aMissing.join(", ")]));
+            },
+
+            /**
+             * onImportPreview
+             * Resolves the author of each row and checks the book fields with the
+             * validator of the Add/Edit dialogs. Only valid rows are imported.
+             */
+            onImportPreview: async function () {
+                const oImport = this._oImportDialog.getModel("import");
+                const oData = oImport.getData();
+                const mColumns = this._getImportColumns();
+
+                oImport.setProperty("/busy", true);
+                let aAuthors;
+                let aCurrencyCodes;
+                try {
+                    const [aAuthorContexts, aCurrencyContexts] = await Promise.all([
+                        this._requestContexts("/Authors", [new Filter("isDeleted", FilterOperator.EQ, false), ACTIVE_ONLY],
+                            undefined, "name"),
+                        this._requestContexts("/Currencies", []),
+                    ]);
+                    aAuthors = aAuthorContexts.map((oContext) => oContext.getObject());
+                    aCurrencyCodes = aCurrencyContexts.map((oContext) => oContext.getProperty("code"));
+                } catch (error) {
+                    MessageBox.error(this.getText("importPreviewError", [error.message]));
+                    return;
+                } finally {
+                    oImport.setProperty("/busy", false);
+                }
+
+                const mAuthorsById = new Map(aAuthors.map((oAuthor) => [oAuthor.ID, oAuthor]));
+                const mAuthorsByName = new Map();
+                aAuthors.forEach((oAuthor) => {
+                    const sKey = (oAuthor.name || "").toLowerCase();
+                    mAuthorsByName.set(sKey, (mAuthorsByName.get(sKey) || []).concat(oAuthor));
+                });
+
+                const aRows = oData.records.map((oRecord) => {
+                    const read = (sField) => (sField in mColumns ? oRecord.cells[mColumns[sField]] : "");
+                    const oValues = {
+                        title: read("title"),
+                        descr: read("descr"),
+                        stock: read("stock"),
+                        price: read("price"),
+                        currency: read("currency").toUpperCase(),
+                    };
+                    const oRow = Object.assign({
+                        line: oRecord.line,
+                        values: oValues,
+                        bio: read("bio"),
+                        newAuthor: false,
+                    }, this._resolveImportAuthor(read("author"), "author" in mColumns, mAuthorsById, mAuthorsByName));
+
+                    const aMessages = (oRow.authorError ? [oRow.authorError] : [])
+                        .concat(Object.values(validator.validateBook(oValues, aCurrencyCodes)).map((sKey) => this.getText(sKey)));
+
+                    oRow.valid = aMessages.length === 0;
+                    oRow.message = aMessages.join(" ");
+                    if (!oRow.valid) {
+                        oRow.status = this.getText("importStatusInvalid");
+                        oRow.state = "Error";
+                    } else {
+                        oRow.status = this.getText(oRow.newAuthor ? "importStatusNewAuthor" : "importStatusReady");
+                        oRow.state = oRow.newAuthor ? "Information" : "Success";
+                    }
+                    return oRow;
+                });
+
+                const iValid = aRows.filter((oRow) => oRow.valid).length;
+                oImport.setProperty("/rows", aRows);
+                oImport.setProperty("/validCount", iValid);
+                oImport.setProperty("/previewSummary", this.getText("importPreviewSummary", [iValid, aRows.length]));
+            },
+
+            /**
+             * Finds the author of an import row by ID or (case-insensitive) name.
+             * Rows of a file without an author column belong to the selected author.
+             * Unknown names are marked as new authors if the user allowed that.
+             * @returns {object} authorId and authorName, newAuthor, or an authorError
+             */
+            _resolveImportAuthor: function (sAuthor, bMapped, mAuthorsById, mAuthorsByName) {
+                const oData = this._oImportDialog.getModel("import").getData();
+
+                if (!bMapped) {
+                    const oAuthor = mAuthorsById.get(this._sSelectedAuthorId);
+                    return oAuthor
+                        ? { authorId: oAuthor.ID, authorName: oAuthor.name }
+                        : { authorName: "", authorError: this.getText("importAuthorSelectedMissing") };
+                }
+                if (!sAuthor) {
+                    return { authorName: "", authorError: this.getText("validationAuthorRequired") };
+                }
+
+                if (oData.authorMatch === AUTHOR_MATCH_ID) {
+                    const oAuthor = mAuthorsById.get(sAuthor);
+                    return oAuthor
+                        ? { authorId: oAuthor.ID, authorName: oAuthor.name }
+                        : { authorName: sAuthor, authorError: this.getText("importAuthorUnknownId", [sAuthor]) };
+                }
+
+                const aMatches = mAuthorsByName.get(sAuthor.toLowerCase()) || [];
+                if (aMatches.length === 1) {
+                    return { authorId: aMatches[0].ID, authorName: aMatches[0].name };
+                }
+                if (aMatches.length > 1) {
+                    return { authorName: sAuthor, authorError: this.getText("importAuthorAmbiguous", [sAuthor]) };
+                }
+                return oData.createMissingAuthors
+                    ? { authorName: sAuthor, newAuthor: true }
+                    : { authorName: sAuthor, authorError: this.getText("importAuthorUnknown", [sAuthor]) };
+            },
+
+            /**
+             * onImportConfirm
+             * Handler for the wizard's "Import" button: creates the missing authors,
+             * then the books of all valid rows, and reports the outcome per row.
+             */
+            onImportConfirm: async function () {
+                const oImport = this._oImportDialog.getModel("import");
+                const oData = oImport.getData();
+                const aValidRows = oData.rows.filter((oRow) => oRow.valid);
+                const mOutcomes = new Map();
+
+                oImport.setProperty("/busy", true);
+
+                // Authors first, so that their books can refer to the new IDs;
+                // rows naming the same new author share one created author
+                const mNewAuthors = new Map();
+                aValidRows.filter((oRow) => oRow.newAuthor).forEach((oRow) => {
+                    const sKey = oRow.authorName.toLowerCase();
+                    if (!mNewAuthors.has(sKey)) {
+                        mNewAuthors.set(sKey, { name: oRow.authorName, bio: oRow.bio || this.getText("importAuthorBio", [oData.fileName]) });
+                    }
+                });
+                const aAuthorKeys = Array.from(mNewAuthors.keys());
+                const aAuthorResults = await this._createEntitiesBatched("/Authors", Array.from(mNewAuthors.values()));
+                const mCreatedAuthors = new Map(aAuthorKeys.map((sKey, i) => [sKey, aAuthorResults[i]]));
+
+                const aBookRows = aValidRows.filter((oRow) => {
+                    if (!oRow.newAuthor) {
+                        return true;
+                    }
+                    const oResult = mCreatedAuthors.get(oRow.authorName.toLowerCase());
+                    if (!oResult.success) {
+                        mOutcomes.set(oRow, { success: false, message: this.getText("importAuthorCreateFailed", [oResult.error.message]) });
+                        return false;
+                    }
+                    oRow.authorId = oResult.context.getProperty("ID");
+                    return true;
+                });
+
+                const aBookResults = await this._createEntitiesBatched("/Books", aBookRows.map((oRow) =>
+                    Object.assign(validator.toBookPayload(oRow.values), { author_ID: oRow.authorId })));
+                aBookRows.forEach((oRow, i) => {
+                    const oResult = aBookResults[i];
+                    mOutcomes.set(oRow, { success: oResult.success, message: oResult.success ? "" : oResult.error.message });
+                });
+
+                const aReport = oData.rows.map((oRow) => {
+                    const oOutcome = mOutcomes.get(oRow);
+                    const oReportRow = { title: this.getText("importReportRow", [oRow.line, oRow.values.title || this.getText("importNoTitle")]) };
+
+                    if (!oOutcome) {
+                        return Object.assign(oReportRow, { success: false, status: this.getText("importStatusSkipped"), state: "Warning", message: oRow.message });
+                    }
+                    return Object.assign(oReportRow, oOutcome, { status: this.getText(oOutcome.success ? "importStatusCreated" : "statusFailed") });
+                });
+                const iCreated = aReport.filter((oRow) => oRow.success).length;
+                const iSkipped = oData.rows.length - aValidRows.length;
+
+                this._closeAndDestroyDialog();
+                this._refreshAuthorList();
+                this._refreshBooks();
+                this._showBulkResult(this.getText("importDialogTitle"), aReport,
+                    this.getText("importReportSummary", [iCreated, iSkipped, aValidRows.length - iCreated]));
+            },
+
+            /**
+             * Creates the given entities with IMPORT_BATCH_SIZE creates per $batch.
+             * The creates of one $batch form a single change set, so one rejected
+             * entity fails the whole batch; the entities of a failed batch are
+             * therefore created again one by one, which also yields the error of
+             * each entity the server rejects.
+             * @returns {Promise<object[]>} Per entity: success and the created context, or the error
+             */
+            _createEntitiesBatched: async function (sPath, aData) {
+                const aResults = [];
+
+                // Create active entries directly instead of drafts
+                aData = aData.map((oData) => Object.assign({ IsActiveEntity: true }, oData));
+
+                for (let i = 0; i < aData.length; i += IMPORT_BATCH_SIZE) {
+                    const aChunk = aData.slice(i, i + IMPORT_BATCH_SIZE);
+                    const aCreated = await this._submitCreates(sPath, aChunk);
+
+                    for (let j = 0; j < aChunk.length; j++) {
+                        if (aCreated[j]) {
+                            aResults.push({ success: true, context: aCreated[j] });
+                            continue;
+                        }
+                        try {
+                            aResults.push({ success: true, context: await this._createEntity(sPath, aChunk[j]) });
+                        } catch (error) {
+                            aResults.push({ success: false, error: error });
+                        }
+                    }
+                }
+                return aResults;
+            },
+
+            // Sends the creates of one batch; resolves with the created context
+            // per entity, or null for each entity the batch failed to create
+            _submitCreates: function (sPath, aData) {
+                const oModel = this.getView().getModel();
+                const oListBinding = oModel.bindList(sPath, null, [], [], { $$updateGroupId: IMPORT_GROUP_ID });
+                const aContexts = [];
+
+                return new Promise((resolve) => {
+                    const aCreated = [];
+                    let iOpen = aData.length;
+
+                    oListBinding.attachCreateCompleted((oEvent) => {
+                        const oContext = oEvent.getParameter("context");
+                        const iIndex = aContexts.indexOf(oContext);
+
+                        if (oEvent.getParameter("success")) {
+                            aCreated[iIndex] = oContext;
+                        } else {
+                            aCreated[iIndex] = null;
+                            // Deleting the transient context cancels its creation
+                            oContext.created().catch(() => {});
+                            oContext.delete();
+                        }
+
+                        iOpen -= 1;
+                        if (iOpen === 0) {
+                            resolve(aCreated);
+                        }
+                    });
+
+                    aData.forEach((oData) => aContexts.push(oListBinding.create(oData)));
+                    oModel.submitBatch(IMPORT_GROUP_ID);
+                });
+            },
+
+            // Shows the recycle bin page and (re)loads the soft-deleted authors and books
+            onOpenRecycleBin: function () {
+                ["deletedAuthorsTable", "deletedBooksTable"].forEach((sTableId) => {
+                    const oBinding = this.byId(sTableId).getBinding("items");
+                    // The bindings are suspended until the page is opened for the first time
+                    if (oBinding.isSuspended()) {
+                        oBinding.resume();
+                    } else {
+                        oBinding.refresh();
+                    }
+                });
+
+                this.byId("splitApp").toDetail(this.createId("recycleBinPage"));
+            },
+
+            // Navigates back from the recycle bin to the book list
+            onCloseRecycleBin: function () {
+                this.byId("splitApp").toDetail(this.createId("detailPage"));
+            },
+
+            // Returns the table of the currently selected recycle bin tab
+            _getRecycleBinTable: function () {
+                const sKey = this.byId("recycleBinTabBar").getSelectedKey();
+                return this.byId(sKey === "books" ? "deletedBooksTable" : "deletedAuthorsTable");
+            },
+
+            /**
+             * onRestoreDeleted
+             * Clears the isDeleted flag of every selected item in the active tab,
+             * so authors and books show up in the regular lists again.
+             */
+            onRestoreDeleted: async function () {
+                const oTable = this._getRecycleBinTable();
+                const aContexts = oTable.getSelectedContexts();
+
+                if (aContexts.length === 0) {
+                    MessageToast.show(this.getText("selectItemsToRestore"));
+                    return;
+                }
+
+                // All PATCH requests of this tick go out in one $batch
+                const aResults = await Promise.allSettled(
+                    aContexts.map((oContext) => this._performRestore(oContext))
+                );
+                this._showRecycleBinResult(aResults, "Restored");
+
+                oTable.removeSelections(true);
+                this._refreshRecycleBin();
+                this._refreshAuthorList();
+                this._bindBooks(this._sSelectedAuthorId);
+            },
 
-                      // Perform the delete on the context
-                      this._performSoftDelete(oContext);
+            /**
+             * onPurgeDeleted
+             * Asks for confirmation and then permanently removes every selected item
+             * of the active tab through _performHardDelete.
+             */
+            onPurgeDeleted: function () {
+                const oTable = this._getRecycleBinTable();
+                const aContexts = oTable.getSelectedContexts();
+
+                if (aContexts.length === 0) {
+                    MessageToast.show(this.getText("selectItemsToPurge"));
+                    return;
+                }
+
+                MessageBox.confirm(
+                    this.getText("confirmPurge", [aContexts.length]),
+                    {
+                        actions: [MessageBox.Action.DELETE, MessageBox.Action.CANCEL],
+                        emphasizedAction: MessageBox.Action.DELETE,
+                        onClose: async function (sAction) {
+                            if (sAction !== MessageBox.Action.DELETE) {
+                                return;
+                            }
+
+                            const aResults = await Promise.allSettled(
+                                aContexts.map((oContext) => this._performHardDelete(oContext))
+                            );
+                            this._showRecycleBinResult(aResults, "Purged");
+
+                            oTable.removeSelections(true);
+                            this._refreshRecycleBin();
+                        }.bind(this),
+                    }
+                );
+            },
+
+            // Summarizes the outcome of a bulk restore or purge;
+            // sAction ("Restored" or "Purged") completes the i18n keys of the summary
+            _showRecycleBinResult: function (aResults, sAction) {
+                const aErrors = aResults.filter((oResult) => oResult.status === "rejected");
+                const iSuccess = aResults.length - aErrors.length;
+
+                if (aErrors.length === 0) {
+                    MessageToast.show(this.getText("items" + sAction, [iSuccess]));
+                    return;
+                }
 
-                      MessageToast.show("Book deleted successfully.");
+                MessageBox.error(
+                    this.getText("items" + sAction + "Partially", [iSuccess, aErrors.length]),
+                    { details: aErrors.map((oResult) => oResult.reason.message).join("\n") }
+                );
+            },
 
-                      // Refresh the list & clear books table
-                      this._bindBooks(this._sSelectedAuthorId);
-                    } catch (oError) {
-                      MessageToast.show(
-                        "Error deleting book: " + (oError.message || oError)
-                      );
+            // Reloads both recycle bin tables if they have been opened before
+            _refreshRecycleBin: function () {
+                ["deletedAuthorsTable", "deletedBooksTable"].forEach((sTableId) => {
+                    const oBinding = this.byId(sTableId).getBinding("items");
+                    if (oBinding && !oBinding.isSuspended()) {
+                        oBinding.refresh();
                     }
-                  }.bind(this),
                 });
-              },
+            },
 
 
         });
@@ -0,0 +1,220 @@
+sap.ui.define(
+    [
+        "./BaseController",
+        "sap/ui/model/Filter",
+        "sap/ui/model/FilterOperator",
+        "sap/ui/model/Sorter",
+        "sap/ui/model/json/JSONModel",
+        "sap/m/MessageBox",
+    ],
+    (BaseController, Filter, FilterOperator, Sorter, JSONModel, MessageBox) => {
+        "use strict";
+
+        // Analytical projection of BookService; every query below is sent as $apply
+        const STATISTICS_PATH = "/BookStatistics";
+        const DEFAULT_TOP = 5;
+
+        // Common chart settings; set in code because "{...}" would be parsed as a binding in XML
+        const VIZ_PROPERTIES = {
+            title: { visible: false },
+            legend: { visible: false },
+            plotArea: { dataLabel: { visible: true } },
+        };
+
+        return BaseController.extend("booklist.controller.Dashboard", {
+            // Sets up the statistics model and the dashboard route
+            onInit() {
+                this.getView().setModel(new JSONModel({
+                    busy: false,
+                    top: DEFAULT_TOP,
+                    lowStockThreshold: this.getOwnerComponent().getManifestEntry("/sap.ui5/config/lowStockThreshold"),
+                    authors: [],
+                    currencies: [],
+                    topCurrency: "",
+                    topBooks: [],
+                    lowStock: [],
+                }), "stats");
+
+                this.getOwnerComponent().getRouter().getRoute("RouteDashboard")
+                    .attachPatternMatched(this._onRouteMatched, this);
+            },
+
+            // Axis titles are set on every visit, as the language may have changed since
+            _onRouteMatched: function () {
+                this._setChartProperties("titlesPerAuthorChart", "fieldAuthor", "dashboardTitles");
+                this._setChartProperties("topTitlesChart", "fieldTitle", "dashboardInventoryValue");
+                this._setChartProperties("valuePerCurrencyChart", "fieldCurrency", "dashboardInventoryValue", {
+                    legend: { visible: true },
+                    valueAxis2: { title: { text: this.getText("dashboardStockUnits") } },
+                });
+                this._loadStatistics();
+            },
+
+            // Applies the common chart settings and the translated axis titles
+            _setChartProperties: function (sChartId, sCategoryKey, sValueKey, oProperties) {
+                this.byId(sChartId).setVizProperties(Object.assign({}, VIZ_PROPERTIES, {
+                    categoryAxis: { title: { text: this.getText(sCategoryKey) } },
+                    valueAxis: { title: { text: this.getText(sValueKey) } },
+                }, oProperties));
+            },
+
+            /**
+             * Reads all figures from the server. Each section is a separate
+             * aggregated request; a failing one leaves the others intact.
+             */
+            _loadStatistics: async function () {
+                const oStats = this.getView().getModel("stats");
+                oStats.setProperty("/busy", true);
+
+                const aResults = await Promise.allSettled([
+                    this._loadTitlesPerAuthor(),
+                    // The top titles are ranked within one of the currencies read here
+                    this._loadValuePerCurrency().then(() => this._loadTopBooks()),
+                    this._loadLowStock(),
+                ]);
+
+                oStats.setProperty("/busy", false);
+
+                const oFailed = aResults.find((oResult) => oResult.status === "rejected");
+                if (oFailed) {
+                    MessageBox.error(this.getText("dashboardLoadFailed", [oFailed.reason.message]));
+                }
+            },
+
+            /**
+             * Runs one aggregated query against BookStatistics and returns the rows
+             * as plain objects. Decimal values arrive as strings and are converted
+             * to numbers so that the charts can plot them.
+             */
+            _requestAggregated: async function (oAggregation, aSorters, aFilters, iLength) {
+                const oBinding = this.getView().getModel().bindList(STATISTICS_PATH, null, aSorters, aFilters, {
+                    $$aggregation: oAggregation,
+                });
+
+                const aContexts = await oBinding.requestContexts(0, iLength || Infinity);
+
+                return aContexts.map((oContext) => {
+                    const oRow = Object.assign({}, oContext.getObject());
+                    Object.keys(oAggregation.aggregate || {}).forEach((sAlias) => {
+                        oRow[sAlias] = Number(oRow[sAlias]) || 0;
+                    });
+                    return oRow;
+                });
+            },
+
+            // groupby((authorId,authorName),aggregate(titleCount with sum as titles))
+            _loadTitlesPerAuthor: async function () {
+                const aRows = await this._requestAggregated({
+                    group: { authorId: {}, authorName: {} },
+                    aggregate: { titles: { name: "titleCount", with: "sum" } },
+                }, [new Sorter("titles", true)]);
+
+                this.getView().getModel("stats").setProperty("/authors", aRows);
+            },
+
+            // groupby((currency_code),aggregate(stock with sum, inventoryValue with sum))
+            _loadValuePerCurrency: async function () {
+                const aRows = await this._requestAggregated({
+                    group: { currency_code: {} },
+                    aggregate: {
+                        totalStock: { name: "stock", with: "sum" },
+                        totalValue: { name: "inventoryValue", with: "sum" },
+                    },
+                }, [new Sorter("currency_code")]);
+
+                const oStats = this.getView().getModel("stats");
+                oStats.setProperty("/currencies", aRows);
+
+                // Keep the currency of the top titles unless no book uses it anymore
+                if (!aRows.some((oRow) => oRow.currency_code === oStats.getProperty("/topCurrency"))) {
+                    oStats.setProperty("/topCurrency", aRows.length ? aRows[0].currency_code : "");
+                }
+            },
+
+            /**
+             * Values in different currencies cannot be compared, so the titles are
+             * ranked within the selected currency. Only the requested number of
+             * titles is read, ordered by value on the server.
+             */
+            _loadTopBooks: async function () {
+                const oStats = this.getView().getModel("stats");
+                const aRows = await this._requestAggregated({
+                    group: { ID: {}, title: {}, authorId: {} },
+                    aggregate: { value: { name: "inventoryValue", with: "sum" } },
+                }, [new Sorter("value", true)], [
+                    new Filter("currency_code", FilterOperator.EQ, oStats.getProperty("/topCurrency")),
+                ], oStats.getProperty("/top"));
+
+                oStats.setProperty("/topBooks", aRows);
+            },
+
+            // Titles below the configured threshold, fewest units first
+            _loadLowStock: async function () {
+                const oStats = this.getView().getModel("stats");
+                const aRows = await this._requestAggregated({
+                    group: { ID: {}, title: {}, authorId: {}, authorName: {}, stock: {} },
+                }, [new Sorter("stock")], [
+                    new Filter("stock", FilterOperator.LT, oStats.getProperty("/lowStockThreshold")),
+                ]);
+
+                oStats.setProperty("/lowStock", aRows);
+            },
+
+            // Re-reads only the "top N" chart for the new N or currency
+            onTopTitlesChange: async function () {
+                try {
+                    await this._loadTopBooks();
+                } catch (error) {
+                    MessageBox.error(this.getText("dashboardTopTitlesFailed", [error.message]));
+                }
+            },
+
+            onRefresh: function () {
+                this._loadStatistics();
+            },
+
+            // Returns the row behind the first selected chart data point
+            _getSelectedRow: function (oEvent, sCollection) {
+                const aData = oEvent.getParameter("data");
+                if (!aData || !aData.length) {
+                    return null;
+                }
+
+                const iRow = aData[0].data._context_row_number;
+                return this.getView().getModel("stats").getProperty("/" + sCollection + "/" + iRow);
+            },
+
+            // Opens the clicked author in the split view
+            onAuthorChartSelect: function (oEvent) {
+                const oRow = this._getSelectedRow(oEvent, "authors");
+                if (oRow) {
+                    this._getRouter().navTo("RouteAuthor", { authorId: oRow.authorId });
+                }
+            },
+
+            // Opens the clicked title in the split view
+            onTopTitlesChartSelect: function (oEvent) {
+                const oRow = this._getSelectedRow(oEvent, "topBooks");
+                if (oRow) {
+                    this._navToBook(oRow);
+                }
+            },
+
+            onLowStockPress: function (oEvent) {
+                this._navToBook(oEvent.getSource().getBindingContext("stats").getObject());
+            },
+
+            _navToBook: function (oRow) {
+                this._getRouter().navTo("RouteBook", { authorId: oRow.authorId, bookId: oRow.ID });
+            },
+
+            onNavBack: function () {
+                this._getRouter().navTo("RouteBookList", {}, true);
+            },
+
+            _getRouter: function () {
+                return this.getOwnerComponent().getRouter();
+            },
+        });
+    }
+);
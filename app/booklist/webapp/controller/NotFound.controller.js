@@ -0,0 +1,12 @@
+sap.ui.define([
+    "sap/ui/core/mvc/Controller"
+], (Controller) => {
+    "use strict";
+
+    return Controller.extend("booklist.controller.NotFound", {
+        // Leaves the "not found" page and shows the author list without a selection
+        onNavToList() {
+            this.getOwnerComponent().getRouter().navTo("RouteBookList", {}, true);
+        }
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Reads the seed data of the CAP model (db/data/*.csv) for the mock server,
+ * so that the mock mode starts with the same authors, books and currencies
+ * as the Java server. Runs in Node.js, inside the UI5 tooling.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const DATA_FOLDER = path.join(__dirname, "../../../../db/data");
+
+/**
+ * Splits CSV text into rows of fields. Fields may be quoted; a quote inside
+ * a quoted field is written twice.
+ * @param {string} sText The CSV text
+ * @returns {string[][]} The rows, the header row first
+ */
+function parseCsv(sText) {
+    const aRows = [];
+    let aRow = [];
+    let sField = "";
+    let bQuoted = false;
+
+    for (let i = 0; i < sText.length; i++) {
+        const c = sText[i];
+        if (bQuoted) {
+            if (c === "\"" && sText[i + 1] === "\"") {
+                sField += c;
+                i++;
+            } else if (c === "\"") {
+                bQuoted = false;
+            } else {
+                sField += c;
+            }
+        } else if (c === "\"") {
+            bQuoted = true;
+        } else if (c === ",") {
+            aRow.push(sField);
+            sField = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && sText[i + 1] === "\n") {
+                i++;
+            }
+            aRow.push(sField);
+            aRows.push(aRow);
+            aRow = [];
+            sField = "";
+        } else {
+            sField += c;
+        }
+    }
+    if (sField || aRow.length) {
+        aRow.push(sField);
+        aRows.push(aRow);
+    }
+    return aRows.filter((aFields) => aFields.some(Boolean));
+}
+
+/**
+ * Reads the entries of one CSV file of db/data.
+ * @param {string} sFileName The file name, e.g. "com.iqbal.cap-Books.csv"
+ * @param {Object<string, string>} [mTypes] Columns that are no strings, mapped
+ *   to "boolean", "integer" or "decimal"; decimals stay strings, as the OData
+ *   model reads them with IEEE754Compatible=true
+ * @returns {object[]} One object per line; empty fields are null
+ */
+function readEntries(sFileName, mTypes = {}) {
+    const [aHeader, ...aLines] = parseCsv(fs.readFileSync(path.join(DATA_FOLDER, sFileName), "utf8"));
+
+    return aLines.map((aFields) => {
+        const oEntry = {};
+        aHeader.forEach((sColumn, i) => {
+            const sValue = aFields[i] ?? "";
+            if (sValue === "") {
+                oEntry[sColumn] = null;
+            } else if (mTypes[sColumn] === "boolean") {
+                oEntry[sColumn] = sValue === "true";
+            } else if (mTypes[sColumn] === "integer") {
+                oEntry[sColumn] = parseInt(sValue, 10);
+            } else {
+                oEntry[sColumn] = sValue;
+            }
+        });
+        return oEntry;
+    });
+}
+
+/**
+ * Adds the draft fields of an active entry of a draft-enabled entity.
+ * @param {object} oEntry The entry as read from the CSV file
+ * @returns {object} The same entry
+ */
+function asActiveEntry(oEntry) {
+    return Object.assign(oEntry, {
+        IsActiveEntity: true,
+        HasActiveEntity: false,
+        HasDraftEntity: false,
+    });
+}
+
+module.exports = { readEntries, asActiveEntry };
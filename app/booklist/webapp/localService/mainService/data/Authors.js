@@ -0,0 +1,7 @@
+const { readEntries, asActiveEntry } = require("../../csvData");
+
+module.exports = {
+    getInitialDataSet: function () {
+        return readEntries("com.iqbal.cap-Authors.csv", { isDeleted: "boolean" }).map(asActiveEntry);
+    }
+};
@@ -0,0 +1,31 @@
+// Derived on every read from the active books and authors of the mock, like
+// the view in srv/books-service.cds: active books of active authors. The mock
+// server adds up aggregated values with "+=", so all of them are numbers.
+module.exports = {
+    getAllEntries: async function (odataRequest) {
+        const [oAuthors, oBooks] = await Promise.all([
+            this.base.getEntityInterface("Authors"),
+            this.base.getEntityInterface("Books"),
+        ]);
+        const mAuthors = new Map((await oAuthors.getAllEntries(odataRequest))
+            .filter((oAuthor) => oAuthor.IsActiveEntity && !oAuthor.isDeleted)
+            .map((oAuthor) => [oAuthor.ID, oAuthor]));
+
+        return (await oBooks.getAllEntries(odataRequest))
+            .filter((oBook) => oBook.IsActiveEntity && !oBook.isDeleted && mAuthors.has(oBook.author_ID))
+            .map((oBook) => {
+                const fPrice = oBook.price === null || oBook.price === undefined ? null : Number(oBook.price);
+                return {
+                    ID: oBook.ID,
+                    title: oBook.title,
+                    authorId: oBook.author_ID,
+                    authorName: mAuthors.get(oBook.author_ID).name,
+                    stock: oBook.stock,
+                    price: fPrice,
+                    currency_code: oBook.currency_code,
+                    inventoryValue: fPrice === null ? null : Math.round(oBook.stock * fPrice * 100) / 100,
+                    titleCount: 1,
+                };
+            });
+    }
+};
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const { readEntries, asActiveEntry } = require("../../csvData");
+
+/**
+ * Adds the (signed) quantity to the stock of an active book and records the
+ * movement, like BookServiceHandler.moveStock of the Java server.
+ */
+async function moveStock(oMockData, mKeys, iDelta, sReference, odataRequest) {
+    if (mKeys.IsActiveEntity === false) {
+        oMockData.throwError("Activate the draft of this book first!", 400);
+    }
+
+    const mActiveKeys = { ID: mKeys.ID, IsActiveEntity: true };
+    const [oBook] = await oMockData.base.fetchEntries(mActiveKeys, odataRequest);
+    if (!oBook || oBook.isDeleted) {
+        oMockData.throwError("Book not found!", 404);
+    }
+    if (oBook.stock + iDelta < 0) {
+        oMockData.throwError("Only " + oBook.stock + " unit(s) of this book are in stock!", 409);
+    }
+
+    const sNow = new Date().toISOString();
+    await oMockData.base.updateEntry(mActiveKeys, { stock: oBook.stock + iDelta, modifiedAt: sNow }, odataRequest);
+
+    const oMovements = await oMockData.base.getEntityInterface("StockMovements");
+    await oMovements.addEntry({
+        ID: crypto.randomUUID(),
+        book_ID: mKeys.ID,
+        quantity: iDelta,
+        reference: sReference || null,
+        createdAt: sNow,
+        createdBy: "mock",
+        modifiedAt: sNow,
+        modifiedBy: "mock",
+    }, odataRequest);
+
+    return Object.assign({}, oBook, { stock: oBook.stock + iDelta, modifiedAt: sNow });
+}
+
+module.exports = {
+    getInitialDataSet: function () {
+        return readEntries("com.iqbal.cap-Books.csv", { stock: "integer", isDeleted: "boolean" }).map(asActiveEntry);
+    },
+
+    executeAction: async function (actionDefinition, actionData, keys, odataRequest) {
+        if (actionDefinition.name !== "receiveStock" && actionDefinition.name !== "sellStock") {
+            return undefined;
+        }
+        if (!(actionData.quantity > 0)) {
+            this.throwError("Quantity must be greater than zero!", 400);
+        }
+
+        const iDelta = actionDefinition.name === "receiveStock" ? actionData.quantity : -actionData.quantity;
+        return moveStock(this, keys, iDelta, actionData.reference, odataRequest);
+    }
+};
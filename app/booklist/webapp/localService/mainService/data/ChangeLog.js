@@ -0,0 +1,13 @@
+// The mock server writes no change log, so the history tables stay empty
+// and there is nothing to revert
+module.exports = {
+    getInitialDataSet: function () {
+        return [];
+    },
+
+    executeAction: async function (actionDefinition) {
+        if (actionDefinition.name === "revert") {
+            this.throwError("Changes cannot be reverted in mock mode!", 501);
+        }
+    }
+};
@@ -0,0 +1,7 @@
+const { readEntries } = require("../../csvData");
+
+module.exports = {
+    getInitialDataSet: function () {
+        return readEntries("sap.common-Currencies.csv", { minorUnit: "integer" });
+    }
+};
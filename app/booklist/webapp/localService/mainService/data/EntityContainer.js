@@ -0,0 +1,10 @@
+// Unbound functions and actions of BookService
+module.exports = {
+    executeAction: async function (actionDefinition) {
+        if (actionDefinition.name === "currentUser") {
+            // Everything is allowed in mock mode, see AuthorizationHandler.java for the real checks
+            return { user: "mock", canEdit: true, canAdminister: true };
+        }
+        return undefined;
+    }
+};
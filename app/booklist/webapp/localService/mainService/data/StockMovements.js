@@ -0,0 +1,6 @@
+// Filled by the receiveStock and sellStock actions of Books.js
+module.exports = {
+    getInitialDataSet: function () {
+        return [];
+    }
+};
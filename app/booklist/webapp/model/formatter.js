@@ -0,0 +1,123 @@
+sap.ui.define([],
+function () {
+    "use strict";
+
+    // i18n keys of the labels of the fields in the change log
+    const CHANGE_FIELD_LABELS = {
+        name: "fieldName",
+        bio: "fieldBio",
+        author_ID: "fieldAuthor",
+        title: "fieldTitle",
+        descr: "fieldDescription",
+        stock: "fieldStock",
+        price: "fieldPrice",
+        currency_code: "fieldCurrency",
+        isDeleted: "fieldDeleted"
+    };
+
+    // Value states of the change log operations
+    const CHANGE_STATES = {
+        create: "Success",
+        update: "Information",
+        delete: "Error",
+        restore: "Success"
+    };
+
+    // Shown instead of the cover of a book without one
+    const COVER_PLACEHOLDER = "sap-icon://course-book";
+
+    return {
+        /**
+         * Maps a stock level to a value state: nothing left is an error,
+         * less than the low-stock threshold a warning.
+         * @param {number} iStock The stock of a book
+         * @param {number} iThreshold Stock below this value counts as low stock
+         * @returns {string} The value state for an ObjectStatus
+         */
+        stockState: function (iStock, iThreshold) {
+            if (iStock === null || iStock === undefined) {
+                return "None";
+            }
+            if (!iStock) {
+                return "Error";
+            }
+            return iStock < iThreshold ? "Warning" : "Success";
+        },
+
+        /**
+         * Highlights the table rows of books that are out of or low on stock.
+         * @param {number} iStock The stock of a book
+         * @param {number} iThreshold Stock below this value counts as low stock
+         * @returns {string} The highlight of a list item
+         */
+        stockHighlight: function (iStock, iThreshold) {
+            if (iStock === null || iStock === undefined || iStock >= iThreshold) {
+                return "None";
+            }
+            return iStock ? "Warning" : "Error";
+        },
+
+        /**
+         * Describes a stock level, e.g. "Low stock (3)". Called with the
+         * controller as "this", whose i18n texts it uses.
+         * @param {number} iStock The stock of a book
+         * @param {number} iThreshold Stock below this value counts as low stock
+         * @returns {string} The text for an ObjectStatus
+         */
+        stockText: function (iStock, iThreshold) {
+            if (iStock === null || iStock === undefined) {
+                return "";
+            }
+            if (!iStock) {
+                return this.getText("stockOut");
+            }
+            return this.getText(iStock < iThreshold ? "stockLow" : "stockIn", [iStock]);
+        },
+
+        /**
+         * Returns the label of a field in the change log, e.g. "Stock" for "stock".
+         * @param {string} sField The technical name of the field
+         * @returns {string} The label, or the technical name for unknown fields
+         */
+        changeField: function (sField) {
+            return CHANGE_FIELD_LABELS[sField] ? this.getText(CHANGE_FIELD_LABELS[sField]) : sField;
+        },
+
+        /**
+         * Returns the text of a change log operation, e.g. "Deleted" for "delete".
+         * @param {string} sOperation create, update, delete or restore
+         * @returns {string} The text for an ObjectStatus
+         */
+        changeOperation: function (sOperation) {
+            return sOperation ? this.getText("historyOperation_" + sOperation) : "";
+        },
+
+        /**
+         * Maps a change log operation to a value state.
+         * @param {string} sOperation create, update, delete or restore
+         * @returns {string} The value state for an ObjectStatus
+         */
+        changeState: function (sOperation) {
+            return CHANGE_STATES[sOperation] || "None";
+        },
+
+        /**
+         * Returns the URL of the cover of an active book, or the placeholder
+         * icon if it has none. The cover is loaded from its media stream by
+         * the image itself; modifiedAt in the URL makes the browser load a
+         * replaced cover again. Called with the controller as "this".
+         * @param {string} sId The ID of the book
+         * @param {string} sCoverType The media type of the cover, empty without one
+         * @param {string} sModifiedAt When the book was changed last
+         * @returns {string} The source for an Avatar or an ObjectHeader icon
+         */
+        coverSrc: function (sId, sCoverType, sModifiedAt) {
+            if (!sId || !sCoverType) {
+                return COVER_PLACEHOLDER;
+            }
+            return this.getView().getModel().getServiceUrl() + "Books(ID=" + sId + ",IsActiveEntity=true)/cover?v="
+                + encodeURIComponent(sModifiedAt);
+        }
+    };
+
+});
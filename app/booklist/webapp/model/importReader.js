@@ -0,0 +1,184 @@
+sap.ui.define([
+    "sap/ui/thirdparty/jszip"
+],
+function (JSZip) {
+    "use strict";
+
+    // Candidate field separators of a CSV file; the most frequent one in the first line wins
+    const CSV_SEPARATORS = [",", ";", "\t"];
+
+    /**
+     * Splits CSV text into rows of cells (RFC 4180): quoted cells may contain
+     * separators, line breaks and doubled quotes.
+     */
+    function parseCsv(sText) {
+        const sContent = sText.replace(/^\uFEFF/, "");
+        const sFirstLine = sContent.split(/\r?\n/, 1)[0];
+        const sSeparator = CSV_SEPARATORS.reduce((sBest, sCandidate) =>
+            sFirstLine.split(sCandidate).length > sFirstLine.split(sBest).length ? sCandidate : sBest);
+
+        const aRows = [];
+        let aRow = [];
+        let sCell = "";
+        let bQuoted = false;
+
+        for (let i = 0; i < sContent.length; i++) {
+            const c = sContent[i];
+
+            if (bQuoted) {
+                if (c === "\"" && sContent[i + 1] === "\"") {
+                    sCell += "\"";
+                    i++;
+                } else if (c === "\"") {
+                    bQuoted = false;
+                } else {
+                    sCell += c;
+                }
+            } else if (c === "\"") {
+                bQuoted = true;
+            } else if (c === sSeparator) {
+                aRow.push(sCell);
+                sCell = "";
+            } else if (c === "\n" || c === "\r") {
+                if (c === "\r" && sContent[i + 1] === "\n") {
+                    i++;
+                }
+                aRow.push(sCell);
+                aRows.push(aRow);
+                aRow = [];
+                sCell = "";
+            } else {
+                sCell += c;
+            }
+        }
+
+        if (sCell || aRow.length > 0) {
+            aRow.push(sCell);
+            aRows.push(aRow);
+        }
+        return aRows;
+    }
+
+    // Error whose message is shown to the user through the given i18n key
+    function readerError(sKey) {
+        return Object.assign(new Error(sKey), { i18nKey: sKey });
+    }
+
+    // Returns all descendants with the given local name, ignoring XML namespaces
+    function elements(oNode, sName) {
+        return Array.from(oNode.getElementsByTagNameNS("*", sName));
+    }
+
+    // Converts a cell reference like "AB12" into the zero-based column index
+    function columnIndex(sReference) {
+        const sLetters = sReference.replace(/\d+$/, "");
+        return sLetters.split("").reduce((iIndex, c) => iIndex * 26 + c.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    /**
+     * Reads the cells of the first worksheet of an XLSX workbook as text.
+     * Formulas are read with their last calculated value. A row is stored at
+     * the index of its row number, so rows the workbook omits stay holes.
+     */
+    function parseXlsx(oBuffer) {
+        let oZip;
+        try {
+            oZip = new JSZip(oBuffer);
+        } catch (error) {
+            throw readerError("importXlsxInvalid");
+        }
+        const oParser = new DOMParser();
+        const parse = (sName) => {
+            const oEntry = oZip.file(sName);
+            return oEntry && oParser.parseFromString(oEntry.asText(), "application/xml");
+        };
+
+        // Resolve the file of the first sheet through the workbook relationships
+        let sSheetFile = "xl/worksheets/sheet1.xml";
+        const oWorkbook = parse("xl/workbook.xml");
+        const oRelations = parse("xl/_rels/workbook.xml.rels");
+        if (oWorkbook && oRelations) {
+            const oFirstSheet = elements(oWorkbook, "sheet")[0];
+            const sRelationId = oFirstSheet && Array.from(oFirstSheet.attributes)
+                .find((oAttribute) => oAttribute.localName === "id")?.value;
+            const oRelation = elements(oRelations, "Relationship")
+                .find((oElement) => oElement.getAttribute("Id") === sRelationId);
+            if (oRelation) {
+                sSheetFile = "xl/" + oRelation.getAttribute("Target").replace(/^\/?(xl\/)?/, "");
+            }
+        }
+
+        const oSheet = parse(sSheetFile);
+        if (!oSheet) {
+            throw readerError("importXlsxNoSheet");
+        }
+
+        const oSharedStrings = parse("xl/sharedStrings.xml");
+        const aSharedStrings = oSharedStrings
+            ? elements(oSharedStrings, "si").map((oItem) => elements(oItem, "t").map((oText) => oText.textContent).join(""))
+            : [];
+
+        const aTable = [];
+        elements(oSheet, "row").forEach((oRow, iRow) => {
+            const aRow = [];
+            elements(oRow, "c").forEach((oCell, i) => {
+                const sType = oCell.getAttribute("t");
+                const oValue = elements(oCell, "v")[0];
+                let sValue;
+
+                if (sType === "inlineStr") {
+                    sValue = elements(oCell, "t").map((oText) => oText.textContent).join("");
+                } else if (sType === "s") {
+                    sValue = oValue ? aSharedStrings[parseInt(oValue.textContent, 10)] : "";
+                } else {
+                    sValue = oValue ? oValue.textContent : "";
+                }
+
+                const sReference = oCell.getAttribute("r");
+                aRow[sReference ? columnIndex(sReference) : i] = sValue;
+            });
+            const sNumber = oRow.getAttribute("r");
+            aTable[sNumber ? parseInt(sNumber, 10) - 1 : iRow] = Array.from(aRow, (sValue) => sValue ?? "");
+        });
+        return aTable;
+    }
+
+    return {
+        /**
+         * Reads a CSV or XLSX file into a table. The first non-empty row holds
+         * the column headers; empty rows are dropped. Errors about the content
+         * of the file carry the i18n key of their message as i18nKey.
+         * @param {File} oFile The file chosen by the user
+         * @returns {Promise<{columns: string[], rows: {line: number, cells: string[]}[]}>}
+         *   The headers, empty for a column without one, and the data rows with
+         *   their line number in the file
+         */
+        readTable: async function (oFile) {
+            const aTable = /\.xlsx$/i.test(oFile.name)
+                ? parseXlsx(await oFile.arrayBuffer())
+                : parseCsv(await oFile.text());
+
+            // Array.prototype.filter skips the holes of an XLSX table
+            const aRows = aTable
+                .map((aCells, i) => ({ line: i + 1, cells: aCells }))
+                .filter((oRow) => oRow.cells.some((sCell) => String(sCell).trim() !== ""));
+            if (aRows.length === 0) {
+                throw readerError("importFileEmpty");
+            }
+
+            const aHeaders = aRows.shift().cells;
+            const iColumns = Math.max(aHeaders.length, ...aRows.map((oRow) => oRow.cells.length));
+
+            return {
+                columns: Array.from({ length: iColumns }, (v, i) => String(aHeaders[i] ?? "").trim()),
+                rows: aRows.map((oRow) => ({
+                    line: oRow.line,
+                    cells: Array.from({ length: iColumns }, (v, i) => String(oRow.cells[i] ?? "").trim()),
+                })),
+            };
+        },
+
+        parseCsv: parseCsv,
+    };
+
+});
@@ -14,6 +14,37 @@ function (JSONModel, Device) {
             var oModel = new JSONModel(Device);
             oModel.setDefaultBindingMode("OneWay");
             return oModel;
+        },
+
+        /**
+         * Provides the languages the user can switch between, each named in its own language.
+         * @param {string[]} aLanguages The language codes, e.g. ["en", "de"]
+         * @param {string} sCurrent The code of the current language
+         * @returns {sap.ui.model.json.JSONModel} The language model.
+         */
+        createLanguageModel: function (aLanguages, sCurrent) {
+            return new JSONModel({
+                current: sCurrent,
+                languages: aLanguages.map(function (sLanguage) {
+                    return {
+                        key: sLanguage,
+                        text: new Intl.DisplayNames([sLanguage], { type: "language" }).of(sLanguage)
+                    };
+                })
+            });
+        },
+
+        /**
+         * Provides what the current user may do. Until it is read from the
+         * service, the user may only read.
+         * @returns {sap.ui.model.json.JSONModel} The user model.
+         */
+        createUserModel: function () {
+            return new JSONModel({
+                user: "",
+                canEdit: false,
+                canAdminister: false
+            });
         }
     };
 
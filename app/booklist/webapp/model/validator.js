@@ -0,0 +1,95 @@
+sap.ui.define([],
+function () {
+    "use strict";
+
+    // Largest value of an Edm.Int32 property such as Books.stock
+    const MAX_INT32 = 2147483647;
+
+    // Decimal(13, 2): at most 11 digits before and 2 digits after the decimal point
+    const PRICE_PATTERN = /^\d{1,11}(\.\d{1,2})?$/;
+
+    // ISO 4217 alphabetic currency code
+    const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+    return {
+        /**
+         * Checks the fields of an author against the constraints of the CDS model.
+         * @param {object} oAuthor The trimmed input values (name, bio)
+         * @returns {object} The i18n key of a message per invalid field; empty if the author is valid
+         */
+        validateAuthor: function (oAuthor) {
+            const mErrors = {};
+
+            if (!oAuthor.name) {
+                mErrors.name = "validationNameRequired";
+            }
+            if (!oAuthor.bio) {
+                mErrors.bio = "validationBioRequired";
+            }
+            return mErrors;
+        },
+
+        /**
+         * Checks the fields of a book against the constraints of the CDS model
+         * and the BookService handler. The author is only checked if it is part
+         * of the input, since the dialogs take it from the selected author; the
+         * stock likewise, since only new books are given one directly.
+         * @param {object} oBook The trimmed input values (title, descr[, stock], price, currency[, author_ID])
+         * @param {string[]} [aCurrencyCodes] The known currency codes; if given, other codes are rejected
+         * @returns {object} The i18n key of a message per invalid field; empty if the book is valid
+         */
+        validateBook: function (oBook, aCurrencyCodes) {
+            const mErrors = {};
+
+            if ("author_ID" in oBook && !oBook.author_ID) {
+                mErrors.author_ID = "validationAuthorRequired";
+            }
+            if (!oBook.title) {
+                mErrors.title = "validationTitleRequired";
+            }
+            if (!oBook.descr) {
+                mErrors.descr = "validationDescrRequired";
+            }
+
+            if ("stock" in oBook) {
+                if (!oBook.stock) {
+                    mErrors.stock = "validationStockRequired";
+                } else if (!/^\d+$/.test(oBook.stock)) {
+                    mErrors.stock = "validationStockInteger";
+                } else if (Number(oBook.stock) > MAX_INT32) {
+                    mErrors.stock = "validationStockTooLarge";
+                }
+            }
+
+            if (oBook.price && !PRICE_PATTERN.test(oBook.price)) {
+                mErrors.price = "validationPriceFormat";
+            }
+            if (oBook.currency && !CURRENCY_PATTERN.test(oBook.currency)) {
+                mErrors.currency = "validationCurrencyFormat";
+            } else if (oBook.currency && aCurrencyCodes && !aCurrencyCodes.includes(oBook.currency)) {
+                mErrors.currency = "validationCurrencyUnknown";
+            }
+            return mErrors;
+        },
+
+        /**
+         * Converts validated book input into the payload of an OData request.
+         * Empty price and currency are sent as null; the stock only if it is part of the input.
+         * @param {object} oBook The validated input values
+         * @returns {object} The properties to create or update
+         */
+        toBookPayload: function (oBook) {
+            const oPayload = {
+                title: oBook.title,
+                descr: oBook.descr,
+                price: oBook.price || null,
+                currency_code: oBook.currency || null,
+            };
+            if ("stock" in oBook) {
+                oPayload.stock = parseInt(oBook.stock, 10);
+            }
+            return oPayload;
+        }
+    };
+
+});
@@ -0,0 +1,67 @@
+/*global QUnit */
+sap.ui.define([
+    "sap/ui/test/opaQunit",
+    "./pages/BookList",
+    "./pages/BookDetail"
+], (opaTest) => {
+    "use strict";
+
+    // Runs against the mock server of ui5-test.yaml, seeded from db/data
+    QUnit.module("Books of an author");
+
+    opaTest("Shows the books of the selected author", (Given, When, Then) => {
+        Given.iStartMyUIComponent({
+            componentConfig: {
+                name: "booklist",
+                async: true
+            }
+        });
+
+        When.onTheBookListPage.iSelectTheAuthor("Emily Johnson");
+
+        Then.onTheBookListPage.iShouldSeeTheBook("JavaScript: The Advanced Guide");
+    });
+
+    opaTest("Adds a book", (Given, When, Then) => {
+        When.onTheBookListPage.iPressTheButton("addBookBtn");
+        When.onTheBookListPage.iEnterTheBook("add", {
+            title: "Testing UI5 Apps",
+            descr: "QUnit and OPA5 from the ground up",
+            stock: "7",
+            price: "29.90"
+        });
+        When.onTheBookListPage.iConfirmTheDialog("addBookConfirmBtn");
+
+        Then.onTheBookListPage.iShouldSeeTheBook("Testing UI5 Apps");
+    });
+
+    opaTest("Edits the book", (Given, When, Then) => {
+        When.onTheBookListPage.iSelectTheBook("Testing UI5 Apps");
+        When.onTheBookListPage.iPressTheButton("editBookBtn");
+        When.onTheBookListPage.iEnterTheBook("edit", { title: "Testing UI5 Apps, 2nd Edition" });
+        When.onTheBookListPage.iConfirmTheDialog("editBookConfirmBtn");
+
+        Then.onTheBookListPage.iShouldSeeTheBook("Testing UI5 Apps, 2nd Edition");
+        Then.onTheBookListPage.iShouldNotSeeTheBook("Testing UI5 Apps");
+    });
+
+    opaTest("Edits the book from its detail page in the same dialog", (Given, When, Then) => {
+        When.onTheBookListPage.iOpenTheDetailPageOf("Testing UI5 Apps, 2nd Edition");
+        When.onTheBookDetailPage.iPressEdit();
+        When.onTheBookListPage.iEnterTheBook("edit", { title: "Testing UI5 Apps, 3rd Edition" });
+        When.onTheBookListPage.iConfirmTheDialog("editBookConfirmBtn");
+
+        Then.onTheBookListPage.iShouldSeeTheBook("Testing UI5 Apps, 3rd Edition");
+    });
+
+    opaTest("Deletes the book", (Given, When, Then) => {
+        When.onTheBookListPage.iSelectTheBook("Testing UI5 Apps, 3rd Edition");
+        When.onTheBookListPage.iPressTheButton("deleteBookBtn");
+        When.onTheMessageBox.iConfirm();
+
+        Then.onTheBookListPage.iShouldNotSeeTheBook("Testing UI5 Apps, 3rd Edition");
+        Then.onTheBookListPage.iShouldSeeTheBook("JavaScript: The Advanced Guide");
+
+        Then.iTeardownMyUIComponent();
+    });
+});
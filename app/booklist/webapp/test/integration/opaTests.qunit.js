@@ -0,0 +1,11 @@
+sap.ui.define([
+    "sap/ui/test/Opa5",
+    "./BookListJourney"
+], (Opa5) => {
+    "use strict";
+
+    Opa5.extendConfig({
+        viewNamespace: "booklist.view.",
+        autoWait: true
+    });
+});
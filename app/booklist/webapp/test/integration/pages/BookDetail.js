@@ -0,0 +1,22 @@
+sap.ui.define([
+    "sap/ui/test/Opa5",
+    "sap/ui/test/actions/Press"
+], (Opa5, Press) => {
+    "use strict";
+
+    Opa5.createPageObjects({
+        onTheBookDetailPage: {
+            viewName: "BookDetail",
+
+            actions: {
+                iPressEdit() {
+                    return this.waitFor({
+                        id: "editDetailBtn",
+                        actions: new Press(),
+                        errorMessage: "The Edit button of the detail page was not found"
+                    });
+                }
+            }
+        }
+    });
+});
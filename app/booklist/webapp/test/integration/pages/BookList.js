@@ -0,0 +1,140 @@
+sap.ui.define([
+    "sap/ui/test/Opa5",
+    "sap/ui/test/actions/Press",
+    "sap/ui/test/actions/EnterText",
+    "sap/ui/test/matchers/PropertyStrictEquals"
+], (Opa5, Press, EnterText, PropertyStrictEquals) => {
+    "use strict";
+
+    const sViewName = "BookList";
+
+    // The dialog inputs of a book, by their ID suffix; the Add and Edit dialogs prefix them with "add" and "edit"
+    const BOOK_INPUTS = {
+        title: "TitleInput",
+        descr: "DescrInput",
+        stock: "StockInput",
+        price: "PriceInput"
+    };
+
+    // Matches the rows of the books table showing the given title
+    function hasTitle(sTitle) {
+        return (oItem) => oItem.getBindingContext()?.getProperty("title") === sTitle;
+    }
+
+    // The titles of the books shown in the books table
+    function getBookTitles(oTable) {
+        return oTable.getItems().map((oItem) => oItem.getBindingContext().getProperty("title"));
+    }
+
+    Opa5.createPageObjects({
+        onTheBookListPage: {
+            viewName: sViewName,
+
+            actions: {
+                iSelectTheAuthor(sName) {
+                    return this.waitFor({
+                        controlType: "sap.m.StandardListItem",
+                        matchers: new PropertyStrictEquals({ name: "title", value: sName }),
+                        actions: new Press(),
+                        errorMessage: "The author " + sName + " is not in the list"
+                    });
+                },
+
+                iSelectTheBook(sTitle) {
+                    return this.waitFor({
+                        controlType: "sap.m.ColumnListItem",
+                        matchers: hasTitle(sTitle),
+                        actions: new Press(),
+                        errorMessage: "The book " + sTitle + " is not in the table"
+                    });
+                },
+
+                // Presses the detail icon of the book's row, which opens the detail page
+                iOpenTheDetailPageOf(sTitle) {
+                    return this.waitFor({
+                        controlType: "sap.m.ColumnListItem",
+                        matchers: hasTitle(sTitle),
+                        actions: new Press({ idSuffix: "imgDet" }),
+                        errorMessage: "The book " + sTitle + " is not in the table"
+                    });
+                },
+
+                // Presses a button of the books toolbar, e.g. "addBookBtn"
+                iPressTheButton(sId) {
+                    return this.waitFor({
+                        id: sId,
+                        actions: new Press(),
+                        errorMessage: "The button " + sId + " was not found"
+                    });
+                },
+
+                /**
+                 * Types into the inputs of the open Add or Edit book dialog.
+                 * @param {string} sPrefix "add" or "edit"
+                 * @param {object} oValues The input per field (title, descr, stock, price)
+                 * @returns {jQuery.promise} The promise of the last waitFor
+                 */
+                iEnterTheBook(sPrefix, oValues) {
+                    let oResult;
+                    Object.keys(oValues).forEach((sField) => {
+                        oResult = this.waitFor({
+                            id: sPrefix + BOOK_INPUTS[sField],
+                            actions: new EnterText({ text: oValues[sField], clearTextFirst: true }),
+                            errorMessage: "The " + sField + " input of the dialog was not found"
+                        });
+                    });
+                    return oResult;
+                },
+
+                // Presses a dialog's confirm button, e.g. "addBookConfirmBtn", once the form is valid
+                iConfirmTheDialog(sButtonId) {
+                    return this.waitFor({
+                        id: sButtonId,
+                        matchers: new PropertyStrictEquals({ name: "enabled", value: true }),
+                        actions: new Press(),
+                        errorMessage: "The button " + sButtonId + " was not enabled"
+                    });
+                }
+            },
+
+            assertions: {
+                iShouldSeeTheBook(sTitle) {
+                    return this.waitFor({
+                        id: "booksTable",
+                        matchers: (oTable) => getBookTitles(oTable).includes(sTitle),
+                        success() {
+                            Opa5.assert.ok(true, "The book " + sTitle + " is in the table");
+                        },
+                        errorMessage: "The book " + sTitle + " is not in the table"
+                    });
+                },
+
+                iShouldNotSeeTheBook(sTitle) {
+                    return this.waitFor({
+                        id: "booksTable",
+                        matchers: (oTable) => !getBookTitles(oTable).includes(sTitle),
+                        success() {
+                            Opa5.assert.ok(true, "The book " + sTitle + " is not in the table");
+                        },
+                        errorMessage: "The book " + sTitle + " is still in the table"
+                    });
+                }
+            }
+        },
+
+        // Dialogs of sap.m.MessageBox, which belong to no view
+        onTheMessageBox: {
+            actions: {
+                iConfirm() {
+                    return this.waitFor({
+                        searchOpenDialogs: true,
+                        controlType: "sap.m.Button",
+                        matchers: new PropertyStrictEquals({ name: "text", value: "OK" }),
+                        actions: new Press(),
+                        errorMessage: "There is no message box to confirm"
+                    });
+                }
+            }
+        }
+    });
+});
@@ -0,0 +1,41 @@
+sap.ui.define(() => {
+    "use strict";
+
+    // Read by the UI5 test starter: test/testsuite.qunit.html lists these
+    // pages, test/Test.qunit.html runs one of them
+    return {
+        name: "QUnit test suite for booklist",
+        defaults: {
+            page: "ui5://test-resources/booklist/Test.qunit.html?testsuite={suite}&test={name}",
+            qunit: {
+                version: 2
+            },
+            sinon: {
+                version: 4,
+                qunitBridge: true
+            },
+            // The journeys look for English texts, e.g. the "OK" of a MessageBox
+            ui5: {
+                theme: "sap_horizon",
+                language: "en"
+            },
+            coverage: {
+                only: "booklist/",
+                never: "test-resources/booklist/"
+            },
+            loader: {
+                paths: {
+                    "booklist": "../"
+                }
+            }
+        },
+        tests: {
+            "unit/unitTests": {
+                title: "Unit tests for booklist"
+            },
+            "integration/opaTests": {
+                title: "Integration tests for booklist"
+            }
+        }
+    };
+});
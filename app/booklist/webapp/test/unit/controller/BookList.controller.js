@@ -0,0 +1,468 @@
+/*global QUnit, sinon */
+sap.ui.define([
+    "booklist/controller/BookList.controller",
+    "sap/m/MessageToast",
+    "sap/m/MessageBox",
+    "sap/ui/model/FilterOperator",
+    "sap/ui/model/json/JSONModel",
+], (BookListController, MessageToast, MessageBox, FilterOperator, JSONModel) => {
+    "use strict";
+
+    /**
+     * Creates the controller without a view: byId returns the given fake
+     * controls, getView the given models, getText the i18n key itself and
+     * _getRouter a router whose navTo is a spy.
+     * @param {object} oTest The QUnit test context, for its sandboxed sinon stubs
+     * @param {object} [mControls] Fake controls by ID
+     * @param {object} [mModels] Models by name; "" is the OData model
+     * @returns {booklist.controller.BookList} The controller
+     */
+    function createController(oTest, mControls = {}, mModels = {}) {
+        const oController = new BookListController();
+
+        oTest.stub(oController, "byId").callsFake((sId) => mControls[sId]);
+        oTest.stub(oController, "getView").returns({
+            getModel: (sName) => mModels[sName || ""],
+        });
+        oTest.stub(oController, "getText").callsFake((sKey) => sKey);
+        oTest.oRouter = { navTo: oTest.spy() };
+        oTest.stub(oController, "_getRouter").returns(oTest.oRouter);
+        return oController;
+    }
+
+    // A context of an author or book with the given properties
+    function createContext(oData) {
+        return {
+            getProperty: (sPath) => oData[sPath],
+            setProperty: () => Promise.resolve(),
+        };
+    }
+
+    // Flattens the single "and" filter of _getBookFilters into path, operator and value
+    function describeFilters(aFilters) {
+        return aFilters[0].getFilters().map((oFilter) => ({
+            path: oFilter.getPath(),
+            operator: oFilter.getOperator(),
+            value: oFilter.getValue1(),
+        }));
+    }
+
+    QUnit.module("_bindBooks", {
+        beforeEach() {
+            this.oTable = { bindItems: this.spy(), unbindItems: this.spy() };
+            this.oTitle = { setText: this.spy() };
+            this.oTemplate = {};
+            this.oController = createController(this, {
+                booksTable: this.oTable,
+                booksTableTitle: this.oTitle,
+                booksTableTemplate: this.oTemplate,
+            }, {
+                bookFilter: new JSONModel(BookListController.prototype._getInitialBookFilter()),
+            });
+            this.stub(this.oController, "_getLowStockThreshold").returns(10);
+        },
+    });
+
+    QUnit.test("Binds the active, not deleted books of the author", function (assert) {
+        this.oController._bindBooks("a1");
+
+        assert.ok(this.oTable.bindItems.calledOnce, "the table is bound");
+        const oBindingInfo = this.oTable.bindItems.firstCall.args[0];
+        assert.strictEqual(oBindingInfo.path, "/Books", "path");
+        assert.deepEqual(oBindingInfo.parameters, { $count: true, $select: "modifiedAt" },
+            "counts the books and reads the ETag");
+        assert.strictEqual(oBindingInfo.template, this.oTemplate, "shared row template");
+        assert.ok(oBindingInfo.templateShareable, "the template is kept for the next binding");
+        assert.strictEqual(oBindingInfo.filters.length, 1, "one filter");
+        assert.ok(oBindingInfo.filters[0].isAnd(), "criteria are combined with 'and'");
+        assert.deepEqual(describeFilters(oBindingInfo.filters), [
+            { path: "author_ID", operator: FilterOperator.EQ, value: "a1" },
+            { path: "isDeleted", operator: FilterOperator.EQ, value: false },
+            { path: "IsActiveEntity", operator: FilterOperator.EQ, value: true },
+        ], "author, isDeleted and IsActiveEntity");
+    });
+
+    QUnit.test("Adds the criteria of the filter bar", function (assert) {
+        this.oController.getView().getModel("bookFilter").setData({
+            title: " dune ",
+            stockMin: "5",
+            stockMax: "",
+            priceMin: "",
+            priceMax: "20",
+            currency: "eur",
+            lowStock: true,
+        }, true);
+
+        this.oController._bindBooks("a1");
+
+        const aFilters = this.oTable.bindItems.firstCall.args[0].filters;
+        assert.deepEqual(describeFilters(aFilters).slice(3), [
+            { path: "title", operator: FilterOperator.Contains, value: "dune" },
+            { path: "stock", operator: FilterOperator.GE, value: 5 },
+            { path: "price", operator: FilterOperator.LE, value: 20 },
+            { path: "currency_code", operator: FilterOperator.EQ, value: "EUR" },
+            { path: "stock", operator: FilterOperator.LT, value: 10 },
+        ], "trimmed title, ranges, upper-case currency and low stock");
+        assert.notOk(aFilters[0].getFilters()[3].isCaseSensitive(), "the title search ignores the case");
+    });
+
+    QUnit.test("Unbinds the table without an author", function (assert) {
+        this.oController._bindBooks(null);
+
+        assert.ok(this.oTable.unbindItems.calledOnce, "the table is unbound");
+        assert.ok(this.oTable.bindItems.notCalled, "nothing is bound");
+        assert.ok(this.oTitle.setText.calledWith("booksTitle"), "the title loses its count");
+    });
+
+    QUnit.module("Confirm buttons of the Add and Edit dialogs", {
+        beforeEach() {
+            this.oController = createController(this);
+            this.oToast = this.stub(MessageToast, "show");
+            this.oClose = this.stub(this.oController, "_closeAndDestroyDialog");
+            this.oRefreshAuthors = this.stub(this.oController, "_refreshAuthorList");
+            this.oRefreshBooks = this.stub(this.oController, "_refreshBooks");
+        },
+    });
+
+    QUnit.test("onAddAuthorConfirm: closes the dialog once the draft is activated", async function (assert) {
+        this.stub(this.oController, "_activateDraft").resolves(true);
+
+        await this.oController.onAddAuthorConfirm();
+
+        assert.ok(this.oToast.calledWith("authorCreated"), "success toast");
+        assert.ok(this.oClose.calledOnce, "dialog closed");
+        assert.ok(this.oRefreshAuthors.calledOnce, "authors refreshed");
+    });
+
+    QUnit.test("onAddAuthorConfirm: keeps the dialog open if the activation fails", async function (assert) {
+        this.stub(this.oController, "_activateDraft").resolves(false);
+
+        await this.oController.onAddAuthorConfirm();
+
+        assert.ok(this.oToast.notCalled, "no toast");
+        assert.ok(this.oClose.notCalled, "dialog stays open");
+        assert.ok(this.oRefreshAuthors.notCalled, "authors not refreshed");
+    });
+
+    QUnit.test("onEditBookConfirm: closes the dialog once the draft is activated", async function (assert) {
+        this.stub(this.oController, "_activateDraft").resolves(true);
+
+        await this.oController.onEditBookConfirm();
+
+        assert.ok(this.oToast.calledWith("bookUpdated"), "success toast");
+        assert.ok(this.oClose.calledOnce, "dialog closed");
+        assert.ok(this.oRefreshBooks.calledOnce, "books refreshed");
+    });
+
+    QUnit.test("onEditBookConfirm: keeps the dialog open if the activation fails", async function (assert) {
+        this.stub(this.oController, "_activateDraft").resolves(false);
+
+        await this.oController.onEditBookConfirm();
+
+        assert.ok(this.oToast.notCalled, "no toast");
+        assert.ok(this.oClose.notCalled, "dialog stays open");
+        assert.ok(this.oRefreshBooks.notCalled, "books not refreshed");
+    });
+
+    QUnit.module("onFormLiveChange", {
+        beforeEach() {
+            this.oClock = sinon.useFakeTimers();
+            this.oModel = { hasPendingChanges: this.stub().returns(false), submitBatch: this.stub().resolves() };
+            this.oController = createController(this, {}, {
+                "": this.oModel,
+                draft: new JSONModel({ status: "" }),
+            });
+            this.stub(this.oController, "_validateForm").returns({});
+            this.stub(this.oController, "_readForm").returns({ title: "New" });
+            this.stub(this.oController, "_getCurrencyCodes").returns([]);
+            this.oController._oActiveForm = { validate: () => ({}), toPayload: (oValues) => oValues };
+            this.oDraftContext = createContext({ title: "Old" });
+            this.oSetProperty = this.stub(this.oDraftContext, "setProperty").callsFake(() => {
+                this.oModel.hasPendingChanges.returns(true);
+                return Promise.resolve();
+            });
+            this.oController._oDraftContext = this.oDraftContext;
+            this.oSaveDraft = this.spy(this.oController, "_saveDraft");
+            this.oEvent = { getSource: () => ({ data: this.spy() }) };
+        },
+        afterEach() {
+            this.oClock.restore();
+        },
+    });
+
+    QUnit.test("Saves the input into the draft after a pause", async function (assert) {
+        this.oController.onFormLiveChange(this.oEvent);
+
+        assert.ok(this.oSaveDraft.notCalled, "not saved while typing");
+        this.oClock.tick(800);
+        assert.ok(this.oSaveDraft.calledOnce, "saved after the pause");
+        // Sent, so nothing pending anymore
+        this.oModel.hasPendingChanges.returns(false);
+        await this.oSaveDraft.firstCall.returnValue;
+
+        assert.deepEqual(this.oSetProperty.args, [["title", "New", "draftSave"]], "queued in the draft group");
+        assert.deepEqual(this.oModel.submitBatch.args, [["draftSave"]], "draft group sent");
+    });
+
+    QUnit.test("Restarts the pause with every input", function (assert) {
+        this.oController.onFormLiveChange(this.oEvent);
+        this.oClock.tick(500);
+        this.oController.onFormLiveChange(this.oEvent);
+        this.oClock.tick(500);
+
+        assert.ok(this.oSaveDraft.notCalled, "not saved yet");
+        this.oClock.tick(300);
+        assert.ok(this.oSaveDraft.calledOnce, "saved once");
+    });
+
+    QUnit.test("Saves nothing without a draft", function (assert) {
+        this.oController._oDraftContext = null;
+
+        this.oController.onFormLiveChange(this.oEvent);
+        this.oClock.tick(800);
+
+        assert.ok(this.oSaveDraft.notCalled, "not saved");
+    });
+
+    QUnit.module("Soft delete", {
+        beforeEach() {
+            this.oController = createController(this);
+        },
+    });
+
+    QUnit.test("_performSoftDelete: sets isDeleted in the given update group", async function (assert) {
+        const oContext = createContext({});
+        const oSetProperty = this.stub(oContext, "setProperty").resolves();
+
+        await this.oController._performSoftDelete(oContext, "authorCascade");
+
+        assert.deepEqual(oSetProperty.args, [["isDeleted", true, "authorCascade"]], "flag set");
+    });
+
+    QUnit.test("_performSoftDelete: rejects if the update fails", async function (assert) {
+        const oContext = createContext({});
+        this.stub(oContext, "setProperty").rejects(new Error("Forbidden"));
+
+        await this.oController._performSoftDelete(oContext).then(
+            () => assert.ok(false, "should have failed"),
+            (oError) => assert.strictEqual(oError.message, "Forbidden", "error passed on"));
+    });
+
+    QUnit.module("onDeleteBook", {
+        beforeEach() {
+            this.oBook = createContext({ ID: "b1" });
+            this.oTable = { getSelectedContexts: () => [this.oBook] };
+            this.oController = createController(this, { booksTable: this.oTable });
+            this.oController._sSelectedAuthorId = "a1";
+            this.oToast = this.stub(MessageToast, "show");
+            this.oConfirm = this.stub(MessageBox, "confirm");
+            this.oBindBooks = this.stub(this.oController, "_bindBooks");
+            this.oSoftDelete = this.stub(this.oController, "_performSoftDelete").resolves();
+        },
+
+        // Answers the confirmation and waits for its handler
+        answer(sAction) {
+            return this.oConfirm.firstCall.args[1].onClose(sAction);
+        },
+    });
+
+    QUnit.test("Asks for a selection first", function (assert) {
+        this.oTable.getSelectedContexts = () => [];
+
+        this.oController.onDeleteBook();
+
+        assert.ok(this.oToast.calledWith("selectBookToDelete"), "hint shown");
+        assert.ok(this.oConfirm.notCalled, "no confirmation");
+    });
+
+    QUnit.test("Soft-deletes the book once confirmed", async function (assert) {
+        this.oController.onDeleteBook();
+        assert.ok(this.oConfirm.calledWith("confirmDeleteBook"), "confirmation");
+
+        await this.answer(MessageBox.Action.OK);
+
+        assert.deepEqual(this.oSoftDelete.args, [[this.oBook]], "soft delete");
+        assert.ok(this.oToast.calledWith("bookDeleted"), "success toast");
+        assert.deepEqual(this.oBindBooks.args, [["a1"]], "books of the author rebound");
+        assert.ok(this.oRouter.navTo.notCalled, "another book was shown");
+    });
+
+    QUnit.test("Leaves the route of the deleted book", async function (assert) {
+        this.oController._sSelectedBookId = "b1";
+
+        this.oController.onDeleteBook();
+        await this.answer(MessageBox.Action.OK);
+
+        assert.deepEqual(this.oRouter.navTo.args, [["RouteAuthor", { authorId: "a1" }, true]], "back to the author");
+    });
+
+    QUnit.test("Reports a failed delete and keeps the table", async function (assert) {
+        this.oSoftDelete.rejects(new Error("Forbidden"));
+
+        this.oController.onDeleteBook();
+        await this.answer(MessageBox.Action.OK);
+
+        assert.deepEqual(this.oToast.args.map((aArgs) => aArgs[0]), ["bookDeleteFailed"], "failure toast only");
+        assert.ok(this.oBindBooks.notCalled, "table not rebound");
+    });
+
+    QUnit.test("Does nothing when cancelled", async function (assert) {
+        this.oController.onDeleteBook();
+        await this.answer(MessageBox.Action.CANCEL);
+
+        assert.ok(this.oSoftDelete.notCalled, "nothing deleted");
+        assert.ok(this.oToast.notCalled, "no toast");
+    });
+
+    QUnit.module("onDeleteAuthor", {
+        beforeEach() {
+            this.oList = { getSelectedContexts: () => [createContext({ ID: "a1" })] };
+            this.oController = createController(this, { authorList: this.oList });
+            this.oToast = this.stub(MessageToast, "show");
+            this.oConfirm = this.stub(MessageBox, "confirm");
+            this.oError = this.stub(MessageBox, "error");
+            this.stub(this.oController, "_requestContexts")
+                .resolves([createContext({ ID: "b1" }), createContext({ ID: "b2" })]);
+            this.oSetDeleted = this.stub(this.oController, "_setAuthorDeleted").resolves();
+            this.oRefresh = this.stub(this.oController, "_refreshAuthorList");
+            this.oOfferUndo = this.stub(this.oController, "_offerUndoDeleteAuthor");
+        },
+
+        answer(sAction) {
+            return this.oConfirm.firstCall.args[1].onClose(sAction);
+        },
+    });
+
+    QUnit.test("Soft-deletes the author together with the books", async function (assert) {
+        this.oController._sSelectedAuthorId = "a1";
+
+        await this.oController.onDeleteAuthor();
+        assert.ok(this.oController.getText.calledWith("confirmDeleteAuthor", [2]), "confirmation counts the books");
+
+        await this.answer(MessageBox.Action.OK);
+
+        assert.deepEqual(this.oSetDeleted.args, [["a1", ["b1", "b2"], true]], "cascaded soft delete");
+        assert.deepEqual(this.oRouter.navTo.args, [["RouteBookList", {}, true]], "the deleted author is left");
+        assert.ok(this.oRefresh.calledOnce, "authors refreshed");
+        assert.deepEqual(this.oOfferUndo.args, [["a1", ["b1", "b2"]]], "undo offered");
+    });
+
+    QUnit.test("Reports a failed delete", async function (assert) {
+        this.oSetDeleted.rejects(new Error("Forbidden"));
+
+        await this.oController.onDeleteAuthor();
+        await this.answer(MessageBox.Action.OK);
+
+        assert.deepEqual(this.oError.args, [["Forbidden"]], "error shown");
+        assert.ok(this.oRefresh.notCalled, "authors not refreshed");
+        assert.ok(this.oOfferUndo.notCalled, "no undo");
+    });
+
+    QUnit.test("Asks for exactly one author", async function (assert) {
+        this.oList.getSelectedContexts = () => [];
+
+        await this.oController.onDeleteAuthor();
+
+        assert.ok(this.oToast.calledWith("selectAuthorToDelete"), "hint shown");
+        assert.ok(this.oConfirm.notCalled, "no confirmation");
+    });
+
+    QUnit.module("_setAuthorDeleted", {
+        beforeEach() {
+            this.oModel = { submitBatch: this.spy(), resetChanges: this.spy() };
+            this.oController = createController(this, {}, { "": this.oModel });
+            this.oAuthor = createContext({ ID: "a1" });
+            this.oBook = createContext({ ID: "b1" });
+            this.oRequest = this.stub(this.oController, "_requestContexts");
+            this.oRequest.withArgs("/Authors").resolves([this.oAuthor]);
+            this.oRequest.withArgs("/Books").resolves([this.oBook]);
+        },
+    });
+
+    QUnit.test("Sends the author and the books in one batch", async function (assert) {
+        const oSoftDelete = this.stub(this.oController, "_performSoftDelete").resolves();
+
+        await this.oController._setAuthorDeleted("a1", ["b1"], true);
+
+        assert.deepEqual(oSoftDelete.args, [[this.oAuthor, "authorCascade"], [this.oBook, "authorCascade"]],
+            "author and book");
+        assert.deepEqual(this.oModel.submitBatch.args, [["authorCascade"]], "one batch");
+        assert.ok(this.oModel.resetChanges.notCalled, "nothing reset");
+    });
+
+    QUnit.test("Discards all changes if one fails", async function (assert) {
+        const oRestore = this.stub(this.oController, "_performRestore").resolves();
+        oRestore.withArgs(this.oBook).rejects(new Error("Conflict"));
+
+        await this.oController._setAuthorDeleted("a1", ["b1"], false).then(
+            () => assert.ok(false, "should have failed"),
+            (oError) => assert.strictEqual(oError.message, "Conflict", "error passed on"));
+        assert.deepEqual(this.oModel.resetChanges.args, [["authorCascade"]], "changes reset");
+    });
+
+    QUnit.test("Reads no books if the author has none", async function (assert) {
+        this.stub(this.oController, "_performSoftDelete").resolves();
+
+        await this.oController._setAuthorDeleted("a1", [], true);
+
+        assert.deepEqual(this.oRequest.args.map((aArgs) => aArgs[0]), ["/Authors"], "only the author is read");
+    });
+
+    QUnit.module("_runBulkUpdate", {
+        beforeEach() {
+            this.oModel = { submitBatch: this.spy(), resetChanges: this.spy() };
+            this.oController = createController(this, {}, { "": this.oModel });
+            this.stub(this.oController, "_bindBooks");
+            this.oShowResult = this.stub(this.oController, "_showBulkResult");
+            this.aBooks = [createContext({ title: "Book 1" }), createContext({ title: "Book 2" })];
+        },
+    });
+
+    QUnit.test("Sends all rows in one batch", async function (assert) {
+        const fnUpdate = this.stub().returns([Promise.resolve()]);
+
+        await this.oController._runBulkUpdate(this.aBooks, "Bulk", fnUpdate);
+
+        assert.deepEqual(this.oModel.submitBatch.args, [["bulkUpdate"]], "one batch");
+        assert.ok(this.oModel.resetChanges.notCalled, "nothing reset");
+        assert.deepEqual(this.oShowResult.args, [["Bulk", [
+            { title: "Book 1", success: true, message: "" },
+            { title: "Book 2", success: true, message: "" },
+        ]]], "both rows succeeded");
+    });
+
+    QUnit.test("Sends the rows of a failed batch again one by one", async function (assert) {
+        const oConflict = new Error("Conflict");
+        const fnUpdate = this.stub();
+        // The failing second row rolls back the whole batch
+        fnUpdate.onCall(0).callsFake(() => [Promise.reject(oConflict)]);
+        fnUpdate.onCall(1).callsFake(() => [Promise.reject(oConflict)]);
+        fnUpdate.onCall(2).callsFake(() => [Promise.resolve()]);
+        fnUpdate.onCall(3).callsFake(() => [Promise.reject(oConflict)]);
+
+        await this.oController._runBulkUpdate(this.aBooks, "Bulk", fnUpdate);
+
+        assert.deepEqual(fnUpdate.args.map((aArgs) => aArgs[0]),
+            [this.aBooks[0], this.aBooks[1], this.aBooks[0], this.aBooks[1]], "each row sent again");
+        assert.strictEqual(this.oModel.submitBatch.callCount, 3, "one batch for all, one per row");
+        assert.strictEqual(this.oModel.resetChanges.callCount, 2, "failed changes reset");
+        assert.deepEqual(this.oShowResult.args, [["Bulk", [
+            { title: "Book 1", success: true, message: "" },
+            { title: "Book 2", success: false, message: "Conflict" },
+        ]]], "result per row");
+    });
+
+    QUnit.test("Does not send rows rejected up front", async function (assert) {
+        const fnUpdate = this.stub();
+        fnUpdate.withArgs(this.aBooks[0]).throws(new Error("Negative stock"));
+        fnUpdate.withArgs(this.aBooks[1]).returns([Promise.resolve()]);
+
+        await this.oController._runBulkUpdate(this.aBooks, "Bulk", fnUpdate);
+
+        assert.strictEqual(fnUpdate.callCount, 2, "no retry");
+        assert.deepEqual(this.oShowResult.args, [["Bulk", [
+            { title: "Book 1", success: false, message: "Negative stock" },
+            { title: "Book 2", success: true, message: "" },
+        ]]], "result per row");
+    });
+});
@@ -0,0 +1,48 @@
+/*global QUnit */
+sap.ui.define([
+    "booklist/model/importReader",
+    "sap/ui/thirdparty/jszip",
+], (importReader, JSZip) => {
+    "use strict";
+
+    // An XLSX workbook whose only sheet holds the given <row> elements
+    function createXlsx(sRows) {
+        const oZip = new JSZip();
+        oZip.file("xl/worksheets/sheet1.xml",
+            "<worksheet xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\"><sheetData>"
+            + sRows + "</sheetData></worksheet>");
+        return new File([oZip.generate({ type: "arraybuffer" })], "books.xlsx");
+    }
+
+    QUnit.module("readTable");
+
+    QUnit.test("Keeps the line of each CSV row when empty lines are dropped", async function (assert) {
+        const oTable = await importReader.readTable(new File(["title;stock\n\nFirst;1\n;\nSecond;2\n"], "books.csv"));
+
+        assert.deepEqual(oTable.columns, ["title", "stock"], "the headers");
+        assert.deepEqual(oTable.rows, [
+            { line: 3, cells: ["First", "1"] },
+            { line: 5, cells: ["Second", "2"] },
+        ], "the rows with their lines");
+    });
+
+    QUnit.test("Keeps the row number of each XLSX row and leaves unnamed columns empty", async function (assert) {
+        const oTable = await importReader.readTable(createXlsx(
+            "<row r=\"2\"><c r=\"A2\" t=\"inlineStr\"><is><t>title</t></is></c></row>"
+            + "<row r=\"5\"><c r=\"A5\" t=\"inlineStr\"><is><t>First</t></is></c><c r=\"B5\"><v>7</v></c></row>"));
+
+        assert.deepEqual(oTable.columns, ["title", ""], "the headers");
+        assert.deepEqual(oTable.rows, [{ line: 5, cells: ["First", "7"] }], "the row with its number");
+    });
+
+    QUnit.test("Rejects files it cannot read with the i18n key of the message", async function (assert) {
+        const check = (oFile, sKey) => importReader.readTable(oFile).then(
+            () => assert.ok(false, sKey + " expected"),
+            (error) => assert.strictEqual(error.i18nKey, sKey, sKey));
+
+        await check(new File(["\n \n"], "books.csv"), "importFileEmpty");
+        await check(new File(["no zip"], "books.xlsx"), "importXlsxInvalid");
+        await check(new File([new JSZip().file("readme.txt", "no sheet").generate({ type: "arraybuffer" })], "books.xlsx"),
+            "importXlsxNoSheet");
+    });
+});
@@ -0,0 +1,4 @@
+sap.ui.define([
+    "./controller/BookList.controller",
+    "./model/importReader"
+]);
@@ -0,0 +1,12 @@
+sap.ui.define([
+    "sap/fe/core/AppComponent"
+], (AppComponent) => {
+    "use strict";
+
+    // Everything the app shows comes from the UI annotations of BookService (app/booklist/annotations.cds)
+    return AppComponent.extend("managebooks.Component", {
+        metadata: {
+            manifest: "json"
+        }
+    });
+});
@@ -0,0 +1,109 @@
+package com.iqbal.cap.zcap_sqllite.handlers;
+
+import java.time.Duration;
+import java.time.Instant;
+import java.util.Map;
+
+import org.springframework.stereotype.Component;
+
+import com.sap.cds.ql.CQL;
+import com.sap.cds.ql.Select;
+import com.sap.cds.ql.cqn.CqnPredicate;
+import com.sap.cds.ql.cqn.CqnUpdate;
+import com.sap.cds.services.ErrorStatuses;
+import com.sap.cds.services.ServiceException;
+import com.sap.cds.services.cds.CdsDeleteEventContext;
+import com.sap.cds.services.cds.CdsUpdateEventContext;
+import com.sap.cds.services.cds.CqnService;
+import com.sap.cds.services.handler.EventHandler;
+import com.sap.cds.services.handler.annotations.Before;
+import com.sap.cds.services.handler.annotations.HandlerOrder;
+import com.sap.cds.services.handler.annotations.On;
+import com.sap.cds.services.handler.annotations.ServiceName;
+import com.sap.cds.services.persistence.PersistenceService;
+import com.sap.cds.services.request.UserInfo;
+
+import cds.gen.bookservice.Authors;
+import cds.gen.bookservice.Authors_;
+import cds.gen.bookservice.BookService_;
+import cds.gen.bookservice.Books_;
+import cds.gen.bookservice.CurrentUserContext;
+import cds.gen.bookservice.UserCapabilities;
+
+/**
+ * Checks what the @restrict annotations of BookService cannot express:
+ * Editors may soft-delete authors and books, but only Admins may restore
+ * them or delete them permanently. The one exception is the "Undo" link
+ * shown after a deletion: a user may restore what they deleted themselves
+ * within the last UNDO_WINDOW.
+ */
+@Component
+@ServiceName(BookService_.CDS_NAME)
+public class AuthorizationHandler implements EventHandler {
+
+    private static final String ROLE_EDITOR = "Editor";
+    private static final String ROLE_ADMIN = "Admin";
+
+    // The "Undo" link is shown for 6 seconds; the rest covers slow requests
+    private static final Duration UNDO_WINDOW = Duration.ofMinutes(1);
+
+    private final PersistenceService db;
+
+    public AuthorizationHandler(PersistenceService db) {
+        this.db = db;
+    }
+
+    // Discarding a draft is a separate event and stays allowed for Editors
+    @Before(event = CqnService.EVENT_DELETE, entity = { Authors_.CDS_NAME, Books_.CDS_NAME })
+    public void beforeDelete(CdsDeleteEventContext context) {
+        if (!isAdmin(context.getUserInfo())) {
+            throw new ServiceException(ErrorStatuses.FORBIDDEN, "Only administrators can delete entries permanently!");
+        }
+    }
+
+    /**
+     * A restore is an update that clears the isDeleted flag of a deleted
+     * entry. Non-Admins are refused if any of the entries was deleted by
+     * someone else or too long ago, going by the modifiedBy and modifiedAt
+     * the deletion set. Runs before the change log is written, so a refused
+     * restore leaves no entry behind.
+     */
+    @Before(event = CqnService.EVENT_UPDATE, entity = { Authors_.CDS_NAME, Books_.CDS_NAME })
+    @HandlerOrder(HandlerOrder.EARLY)
+    public void beforeUpdate(CdsUpdateEventContext context) {
+        CqnUpdate update = context.getCqn();
+        Map<String, Object> data = update.data();
+        if (!Boolean.FALSE.equals(data.get(Authors.IS_DELETED)) || isAdmin(context.getUserInfo())) {
+            return;
+        }
+
+        CqnPredicate ownRecentDeletion = CQL.and(
+                CQL.get(Authors.MODIFIED_BY).eq(context.getUserInfo().getName()),
+                CQL.get(Authors.MODIFIED_AT).ge(Instant.now().minus(UNDO_WINDOW)));
+        CqnPredicate refused = CQL.and(CQL.get(Authors.IS_DELETED).eq(true), CQL.not(ownRecentDeletion));
+
+        Select<?> select = Select.from(update.ref()).columns("ID");
+        select.where(update.where()
+                .map(where -> CQL.and(where, refused))
+                .orElse(refused));
+
+        if (db.run(select).rowCount() > 0) {
+            throw new ServiceException(ErrorStatuses.FORBIDDEN, "Only administrators can restore deleted entries!");
+        }
+    }
+
+    @On(event = CurrentUserContext.CDS_NAME)
+    public void onCurrentUser(CurrentUserContext context) {
+        UserInfo user = context.getUserInfo();
+
+        UserCapabilities capabilities = UserCapabilities.create();
+        capabilities.setUser(user.getName());
+        capabilities.setCanEdit(user.hasRole(ROLE_EDITOR) || isAdmin(user));
+        capabilities.setCanAdminister(isAdmin(user));
+        context.setResult(capabilities);
+    }
+
+    private static boolean isAdmin(UserInfo user) {
+        return user.hasRole(ROLE_ADMIN);
+    }
+}
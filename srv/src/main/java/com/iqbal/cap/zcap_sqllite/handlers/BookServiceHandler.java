@@ -1,26 +1,51 @@
 package com.iqbal.cap.zcap_sqllite.handlers;
 
+import java.io.ByteArrayInputStream;
+import java.io.IOException;
+import java.io.InputStream;
+import java.util.Map;
+import java.util.Set;
+
 import org.springframework.stereotype.Component;
 
+import com.sap.cds.ql.Insert;
 import com.sap.cds.ql.Select;
+import com.sap.cds.ql.Update;
+import com.sap.cds.ql.cqn.CqnAnalyzer;
+import com.sap.cds.ql.cqn.CqnSelect;
 import com.sap.cds.services.ErrorStatuses;
+import com.sap.cds.services.EventContext;
 import com.sap.cds.services.ServiceException;
 import com.sap.cds.services.cds.CdsCreateEventContext;
+import com.sap.cds.services.cds.CdsUpdateEventContext;
 import com.sap.cds.services.cds.CqnService;
+import com.sap.cds.services.draft.DraftSaveEventContext;
+import com.sap.cds.services.draft.DraftService;
 import com.sap.cds.services.handler.EventHandler;
 import com.sap.cds.services.handler.annotations.Before;
+import com.sap.cds.services.handler.annotations.HandlerOrder;
+import com.sap.cds.services.handler.annotations.On;
 import com.sap.cds.services.handler.annotations.ServiceName;
 import com.sap.cds.services.persistence.PersistenceService;
 
 import cds.gen.bookservice.Authors_;
 import cds.gen.bookservice.BookService_;
 import cds.gen.bookservice.Books;
+import cds.gen.bookservice.BooksReceiveStockContext;
+import cds.gen.bookservice.BooksSellStockContext;
 import cds.gen.bookservice.Books_;
+import cds.gen.bookservice.Currencies_;
+import cds.gen.com.iqbal.cap.StockMovements;
+import cds.gen.com.iqbal.cap.StockMovements_;
 
 @Component
 @ServiceName(BookService_.CDS_NAME)
 public class BookServiceHandler implements EventHandler {
 
+    // Covers are shown as thumbnails, so only web images of limited size are accepted
+    private static final Set<String> COVER_TYPES = Set.of("image/jpeg", "image/png", "image/webp");
+    private static final int MAX_COVER_SIZE = 2 * 1024 * 1024;
+
     private final PersistenceService db;
 
     public BookServiceHandler(PersistenceService db) {
@@ -31,13 +56,15 @@ public class BookServiceHandler implements EventHandler {
     public void beforeCreateBook(CdsCreateEventContext context, Books book) {
         // Validate book title
         if (book.getTitle() == null || book.getTitle().isEmpty()) {
-            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "Book title is required!");
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "Book title is required!")
+                    .messageTarget(Books.TITLE);
         }
 
         // Validate author
         String authorID = book.getAuthorId();
         if (authorID == null || authorID.isEmpty()) {
-            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "Author ID is required!");
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "Author ID is required!")
+                    .messageTarget(Books.AUTHOR_ID);
         }
 
         // Check if author exists
@@ -47,9 +74,169 @@ public class BookServiceHandler implements EventHandler {
                 .first().isPresent();
 
         if (!authorExists) {
-            throw new RuntimeException("Author with ID " + authorID + " does not exist!");
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "Author with ID " + authorID + " does not exist!")
+                    .messageTarget(Books.AUTHOR_ID);
         }
 
         System.out.println("Author exists: " + authorExists);
     }
-}
\ No newline at end of file
+
+    @Before(event = { CqnService.EVENT_CREATE, CqnService.EVENT_UPDATE }, entity = Books_.CDS_NAME)
+    public void beforeSaveBookCurrency(Books book) {
+        // Currency is optional, but must be one of the known currencies
+        String currencyCode = book.getCurrencyCode();
+        if (currencyCode == null) {
+            return;
+        }
+
+        boolean currencyExists = db.run(Select.from(Currencies_.class)
+                .columns(Currencies_.CODE)
+                .where(c -> c.code().eq(currencyCode)))
+                .first().isPresent();
+
+        if (!currencyExists) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "Unknown currency " + currencyCode + "!")
+                    .messageTarget(Books.CURRENCY_CODE);
+        }
+    }
+
+    /**
+     * Checks an uploaded cover. A PUT on .../cover arrives as update of the
+     * book or its draft, with the image as stream and its Content-Type as
+     * coverType. The stream is read once to check its size and passed on as
+     * a copy.
+     */
+    @Before(event = { CqnService.EVENT_CREATE, CqnService.EVENT_UPDATE, DraftService.EVENT_DRAFT_PATCH },
+            entity = Books_.CDS_NAME)
+    public void beforeSaveBookCover(Books book) {
+        InputStream cover = book.getCover();
+        if (cover == null) {
+            return;
+        }
+
+        if (!COVER_TYPES.contains(book.getCoverType())) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "The cover must be a JPEG, PNG or WebP image!")
+                    .messageTarget(Books.COVER);
+        }
+
+        byte[] bytes;
+        try {
+            bytes = cover.readNBytes(MAX_COVER_SIZE + 1);
+        } catch (IOException e) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "The cover could not be read!", e);
+        }
+        if (bytes.length > MAX_COVER_SIZE) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "The cover must not be larger than 2 MB!")
+                    .messageTarget(Books.COVER);
+        }
+        book.setCover(new ByteArrayInputStream(bytes));
+    }
+
+    /**
+     * The draft of an existing book holds the stock it was copied with, while
+     * receipts and sales keep changing the active book. Before activation the
+     * draft takes over the current stock, so the update that activates it
+     * leaves the stock as it is, see beforeUpdateBookStock.
+     */
+    @Before(event = DraftService.EVENT_DRAFT_SAVE, entity = Books_.CDS_NAME)
+    public void beforeActivateBook(DraftSaveEventContext context) {
+        String bookId = (String) CqnAnalyzer.create(context.getModel()).analyze(context.getCqn())
+                .targetKeys().get(Books.ID);
+
+        db.run(Select.from(Books_.class).columns(b -> b.stock()).where(b -> b.ID().eq(bookId)))
+                .first(Books.class)
+                .ifPresent(active -> context.getService().patchDraft(Update.entity(Books_.class)
+                        .data(Books.STOCK, active.getStock())
+                        .where(b -> b.ID().eq(bookId).and(b.get(Books.IS_ACTIVE_ENTITY).eq(false)))));
+    }
+
+    /**
+     * Overwriting the stock would race with concurrent receipts and sales, so
+     * updates must not change it. A stock equal to the stored one, as sent by
+     * the activation of a draft, is dropped; any other value is refused.
+     * Runs early, so the change log does not see the stock either.
+     */
+    @Before(event = CqnService.EVENT_UPDATE, entity = Books_.CDS_NAME)
+    @HandlerOrder(HandlerOrder.EARLY)
+    public void beforeUpdateBookStock(CdsUpdateEventContext context, Books book) {
+        if (!book.containsKey(Books.STOCK)) {
+            return;
+        }
+
+        String bookId = book.getId() != null ? book.getId()
+                : (String) CqnAnalyzer.create(context.getModel()).analyze(context.getCqn()).targetKeys().get(Books.ID);
+        Integer storedStock = bookId == null ? null
+                : db.run(Select.from(Books_.class).columns(b -> b.stock()).where(b -> b.ID().eq(bookId)))
+                        .first(Books.class).map(Books::getStock).orElse(null);
+
+        if (storedStock == null || !storedStock.equals(book.getStock())) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST,
+                    "Stock can only be changed with the receiveStock and sellStock actions!")
+                    .messageTarget(Books.STOCK);
+        }
+        book.remove(Books.STOCK);
+    }
+
+    @On(event = BooksReceiveStockContext.CDS_NAME, entity = Books_.CDS_NAME)
+    public void onReceiveStock(BooksReceiveStockContext context) {
+        context.setResult(moveStock(context, context.getCqn(), checkQuantity(context.getQuantity()),
+                context.getReference()));
+    }
+
+    @On(event = BooksSellStockContext.CDS_NAME, entity = Books_.CDS_NAME)
+    public void onSellStock(BooksSellStockContext context) {
+        context.setResult(moveStock(context, context.getCqn(), -checkQuantity(context.getQuantity()),
+                context.getReference()));
+    }
+
+    private static int checkQuantity(Integer quantity) {
+        if (quantity == null || quantity <= 0) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "Quantity must be greater than zero!");
+        }
+        return quantity;
+    }
+
+    /**
+     * Adds the (signed) quantity to the stock of the book in a single UPDATE,
+     * so concurrent movements cannot overwrite each other, and records the
+     * movement. The UPDATE only matches while the result is not negative.
+     * Only active books have a stock to move; drafts are refused.
+     */
+    private Books moveStock(EventContext context, CqnSelect bookSelect, int quantity, String reference) {
+        Map<String, Object> keys = CqnAnalyzer.create(context.getModel()).analyze(bookSelect).targetKeys();
+        if (Boolean.FALSE.equals(keys.get(Books.IS_ACTIVE_ENTITY))) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "Activate the draft of this book first!");
+        }
+
+        String bookId = (String) keys.get(Books.ID);
+        db.run(Select.from(Books_.class).where(b -> b.ID().eq(bookId))).first(Books.class)
+                .filter(b -> !Boolean.TRUE.equals(b.getIsDeleted()))
+                .orElseThrow(() -> new ServiceException(ErrorStatuses.NOT_FOUND, "Book not found!"));
+
+        long updated = db.run(Update.entity(cds.gen.com.iqbal.cap.Books_.class)
+                .set(b -> b.stock(), stock -> stock.plus(quantity))
+                .where(b -> b.ID().eq(bookId).and(b.stock().plus(quantity).ge(0))))
+                .rowCount();
+
+        if (updated == 0) {
+            Integer stock = readBook(bookId).getStock();
+            throw new ServiceException(ErrorStatuses.CONFLICT,
+                    "Only " + stock + " unit(s) of this book are in stock!");
+        }
+
+        StockMovements movement = StockMovements.create();
+        movement.setBookId(bookId);
+        movement.setQuantity(quantity);
+        movement.setReference(reference);
+        db.run(Insert.into(StockMovements_.class).entry(movement));
+
+        return readBook(bookId);
+    }
+
+    private Books readBook(String bookId) {
+        Books book = db.run(Select.from(Books_.class).where(b -> b.ID().eq(bookId))).single(Books.class);
+        // The stored entry is the active one; IsActiveEntity is part of the OData key
+        book.setIsActiveEntity(true);
+        return book;
+    }
+}
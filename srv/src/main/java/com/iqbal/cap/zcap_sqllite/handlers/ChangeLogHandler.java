@@ -0,0 +1,219 @@
+package com.iqbal.cap.zcap_sqllite.handlers;
+
+import java.math.BigDecimal;
+import java.time.Instant;
+import java.util.ArrayList;
+import java.util.List;
+import java.util.Map;
+import java.util.Objects;
+
+import org.springframework.stereotype.Component;
+
+import com.sap.cds.Row;
+import com.sap.cds.ql.Insert;
+import com.sap.cds.ql.Select;
+import com.sap.cds.ql.Update;
+import com.sap.cds.ql.cqn.CqnSelect;
+import com.sap.cds.ql.cqn.CqnUpdate;
+import com.sap.cds.reflect.CdsBaseType;
+import com.sap.cds.reflect.CdsEntity;
+import com.sap.cds.reflect.CdsSimpleType;
+import com.sap.cds.services.ErrorStatuses;
+import com.sap.cds.services.ServiceException;
+import com.sap.cds.services.cds.CdsCreateEventContext;
+import com.sap.cds.services.cds.CdsUpdateEventContext;
+import com.sap.cds.services.cds.CqnService;
+import com.sap.cds.services.handler.EventHandler;
+import com.sap.cds.services.handler.annotations.After;
+import com.sap.cds.services.handler.annotations.Before;
+import com.sap.cds.services.handler.annotations.On;
+import com.sap.cds.services.handler.annotations.ServiceName;
+import com.sap.cds.services.persistence.PersistenceService;
+
+import cds.gen.bookservice.Authors;
+import cds.gen.bookservice.Authors_;
+import cds.gen.bookservice.BookService_;
+import cds.gen.bookservice.Books;
+import cds.gen.bookservice.Books_;
+import cds.gen.bookservice.ChangeLog;
+import cds.gen.bookservice.ChangeLogRevertContext;
+import cds.gen.bookservice.ChangeLog_;
+
+/**
+ * Writes the audit trail of authors and books: one ChangeLog entry per changed
+ * field, in the same transaction as the change itself. Soft deletes and
+ * restores are updates of the isDeleted flag and are logged as such.
+ */
+@Component
+@ServiceName(BookService_.CDS_NAME)
+public class ChangeLogHandler implements EventHandler {
+
+    private static final String OPERATION_CREATE = "create";
+    private static final String OPERATION_UPDATE = "update";
+    private static final String OPERATION_DELETE = "delete";
+    private static final String OPERATION_RESTORE = "restore";
+
+    // The fields whose changes are logged, per entity of BookService
+    private static final Map<String, List<String>> TRACKED_FIELDS = Map.of(
+            Authors_.CDS_NAME, List.of(Authors.NAME, Authors.BIO, Authors.IS_DELETED),
+            Books_.CDS_NAME, List.of(Books.AUTHOR_ID, Books.TITLE, Books.DESCR, Books.STOCK,
+                    Books.PRICE, Books.CURRENCY_CODE, Books.IS_DELETED));
+
+    private final PersistenceService db;
+
+    public ChangeLogHandler(PersistenceService db) {
+        this.db = db;
+    }
+
+    @After(event = CqnService.EVENT_CREATE, entity = { Authors_.CDS_NAME, Books_.CDS_NAME })
+    public void afterCreate(CdsCreateEventContext context) {
+        CdsEntity target = context.getTarget();
+        List<ChangeLog> entries = new ArrayList<>();
+
+        for (Row row : context.getResult()) {
+            for (String field : TRACKED_FIELDS.get(target.getQualifiedName())) {
+                Object value = row.get(field);
+                // A new entry is never deleted; the default of the flag is no change worth logging
+                if (value != null && !field.equals(Authors.IS_DELETED)) {
+                    entries.add(createEntry(context.getUserInfo().getName(), target, row.get("ID"),
+                            OPERATION_CREATE, field, null, value));
+                }
+            }
+        }
+        insert(entries);
+    }
+
+    /**
+     * Compares the new values with the stored ones before they are overwritten.
+     * If the update fails later on, the entries are rolled back with it.
+     */
+    @Before(event = CqnService.EVENT_UPDATE, entity = { Authors_.CDS_NAME, Books_.CDS_NAME })
+    public void beforeUpdate(CdsUpdateEventContext context) {
+        CdsEntity target = context.getTarget();
+        CqnUpdate update = context.getCqn();
+        Map<String, Object> data = update.data();
+
+        List<String> fields = TRACKED_FIELDS.get(target.getQualifiedName()).stream()
+                .filter(data::containsKey)
+                .toList();
+        if (fields.isEmpty()) {
+            return;
+        }
+
+        List<String> columns = new ArrayList<>(fields);
+        columns.add("ID");
+        Select<?> select = Select.from(update.ref()).columns(columns.toArray(String[]::new));
+        update.where().ifPresent(select::where);
+
+        List<ChangeLog> entries = new ArrayList<>();
+        for (Row row : db.run(select)) {
+            for (String field : fields) {
+                Object oldValue = row.get(field);
+                Object newValue = data.get(field);
+                if (sameValue(oldValue, newValue)) {
+                    continue;
+                }
+
+                String operation = OPERATION_UPDATE;
+                if (field.equals(Authors.IS_DELETED)) {
+                    operation = Boolean.TRUE.equals(newValue) ? OPERATION_DELETE : OPERATION_RESTORE;
+                }
+                entries.add(createEntry(context.getUserInfo().getName(), target, row.get("ID"),
+                        operation, field, oldValue, newValue));
+            }
+        }
+        insert(entries);
+    }
+
+    /**
+     * Sets a field back to the value it had before the logged change. The
+     * update goes through BookService, so it is validated and logged itself.
+     * A change that was overwritten in the meantime is not reverted.
+     */
+    @On(event = ChangeLogRevertContext.CDS_NAME, entity = ChangeLog_.CDS_NAME)
+    public void onRevert(ChangeLogRevertContext context) {
+        ChangeLog entry = db.run(context.getCqn()).first(ChangeLog.class)
+                .orElseThrow(() -> new ServiceException(ErrorStatuses.NOT_FOUND, "Change not found!"));
+
+        if (OPERATION_CREATE.equals(entry.getOperation())) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST, "The creation of an entry cannot be reverted!");
+        }
+        // Updates refuse the stock, see BookServiceHandler.beforeUpdateBookStock
+        if (Books.STOCK.equals(entry.getField())) {
+            throw new ServiceException(ErrorStatuses.BAD_REQUEST,
+                    "Stock changes cannot be reverted. Use receiveStock or sellStock instead!");
+        }
+
+        String entityName = BookService_.CDS_NAME + "." + entry.getEntityName();
+        CdsEntity target = context.getModel().getEntity(entityName);
+        Map<String, Object> keys = Map.of("ID", entry.getEntityKey());
+
+        CqnSelect current = Select.from(entityName).columns(entry.getField()).matching(keys);
+        Row row = db.run(current).first()
+                .orElseThrow(() -> new ServiceException(ErrorStatuses.NOT_FOUND,
+                        "The " + entry.getEntityName() + " entry no longer exists!"));
+
+        if (!sameValue(row.get(entry.getField()), parseValue(target, entry.getField(), entry.getNewValue()))) {
+            throw new ServiceException(ErrorStatuses.CONFLICT,
+                    "The field " + entry.getField() + " has been changed again since. Revert the later change first!");
+        }
+
+        Object oldValue = parseValue(target, entry.getField(), entry.getOldValue());
+
+        CqnService service = (CqnService) context.getService();
+        service.run(Update.entity(entityName).data(entry.getField(), oldValue).matching(keys));
+
+        context.setCompleted();
+    }
+
+    private static ChangeLog createEntry(String user, CdsEntity target, Object key, String operation,
+            String field, Object oldValue, Object newValue) {
+        ChangeLog entry = ChangeLog.create();
+        entry.setEntityName(target.getName());
+        entry.setEntityKey((String) key);
+        entry.setOperation(operation);
+        entry.setField(field);
+        entry.setOldValue(toText(oldValue));
+        entry.setNewValue(toText(newValue));
+        entry.setChangedBy(user);
+        entry.setChangedAt(Instant.now());
+        return entry;
+    }
+
+    // Writes into the persistence entity; the service projection is read-only
+    private void insert(List<ChangeLog> entries) {
+        if (!entries.isEmpty()) {
+            db.run(Insert.into(cds.gen.com.iqbal.cap.ChangeLog_.class).entries(entries));
+        }
+    }
+
+    // Decimals are compared by value: 12.5 and 12.50 are the same price
+    private static boolean sameValue(Object oldValue, Object newValue) {
+        if (oldValue instanceof BigDecimal oldNumber && newValue instanceof BigDecimal newNumber) {
+            return oldNumber.compareTo(newNumber) == 0;
+        }
+        return Objects.equals(toText(oldValue), toText(newValue));
+    }
+
+    private static String toText(Object value) {
+        if (value == null) {
+            return null;
+        }
+        return value instanceof BigDecimal number ? number.toPlainString() : value.toString();
+    }
+
+    // Converts a logged value back to the type of the field
+    private static Object parseValue(CdsEntity target, String field, String value) {
+        if (value == null) {
+            return null;
+        }
+
+        CdsBaseType type = target.getElement(field).getType().as(CdsSimpleType.class).getType();
+        return switch (type) {
+            case INTEGER -> Integer.valueOf(value);
+            case DECIMAL -> new BigDecimal(value);
+            case BOOLEAN -> Boolean.valueOf(value);
+            default -> value;
+        };
+    }
+}